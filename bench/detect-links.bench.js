@@ -0,0 +1,85 @@
+// Benchmark fixture for link detection: compares the former per-title regex loop with the single-pass matcher.
+// Usage: node bench/detect-links.bench.js [number of titles] [number of words in the note]
+const Module = require('module');
+const path = require('path');
+
+// main.js only needs the Obsidian and CodeMirror classes to be defined to load outside of the app
+const obsidian = new Proxy({}, {
+  get: (target, name) => target[name] || (target[name] = class {})
+});
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'obsidian' || request.startsWith('@codemirror/') ? obsidian : originalLoad.call(this, request, ...args);
+};
+const NoteLinkerPlugin = require(path.join(__dirname, '..', 'main.js'));
+
+const titleCount = Number(process.argv[2]) || 15000;
+const wordCount = Number(process.argv[3]) || 5000;
+
+// Deterministic pseudo-random generator so that every run uses the same fixture
+let seed = 42;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const pick = (list) => list[Math.floor(random() * list.length)];
+
+const syllables = ['ka', 'lo', 'mi', 'ne', 'ru', 'sa', 'to', 'vi', 'ze', 'an', 'or', 'el', 'ip', 'us'];
+const makeWord = () => Array.from({ length: 2 + Math.floor(random() * 3) }, () => pick(syllables)).join('');
+
+// Build the fixture: titles of one to three words (some with parentheses) and a note mentioning some of them
+const notes = Array.from({ length: titleCount }, (_, i) => {
+  let title = Array.from({ length: 1 + Math.floor(random() * 3) }, makeWord).join(' ');
+  if (i % 50 === 0) {
+    title += ' (draft)';
+  }
+  return { title, path: `Notes/${title}.md` };
+});
+const words = Array.from({ length: wordCount }, () => (random() < 0.05 ? pick(notes).title : makeWord()));
+const content = words.join(' ');
+
+// The detection loop as it was before the matcher: one regex and one full scan per title
+function detectWithRegexLoop(noteTitlesCache, text) {
+  const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const detectedLinks = [];
+  for (const note of noteTitlesCache) {
+    const title = escapeRegExp(note.title);
+    const regex = new RegExp(`(?<!\\[\\[)(${title.replace(/([()])/g, '\\\\?$1')})(?!\\|?\\]\\])`, 'gi');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      detectedLinks.push({ title: note.title, matchIndex: [match.index, match.index + match[0].length] });
+    }
+  }
+  return detectedLinks;
+}
+
+function time(label, fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(28)} ${elapsed.toFixed(1).padStart(10)} ms  ${result.length} matches`);
+  return elapsed;
+}
+
+async function main() {
+  // Start from the default settings, as in a fresh install
+  const plugin = new NoteLinkerPlugin();
+  plugin.loadData = async () => null;
+  plugin.app = { metadataCache: { getFirstLinkpathDest: () => null } };  // Titles shared by several notes resolve to the first one
+  await plugin.loadSettings();
+  plugin.noteTitlesCache = notes;
+
+  console.log(`${titleCount} titles, ${wordCount} words (${content.length} characters)\n`);
+  const regexTime = time('Per-title regex loop', () => detectWithRegexLoop(notes, content));
+  time('Matcher (build + scan)', () => {
+    plugin.titleMatcher = null;
+    return plugin.detectPotentialLinks(content);
+  });
+  const scanTime = time('Matcher (cached scan)', () => plugin.detectPotentialLinks(content));
+  console.log(`\nSpeedup on a cached scan: x${(regexTime / scanTime).toFixed(1)}\n`);
+
+  // Typo tolerance only compares the titles with the words around their intact pieces
+  plugin.settings.fuzzyMaxDistance = 2;
+  plugin.titleMatcher = null;
+  time('Matcher, 2 typos (build)', () => plugin.detectPotentialLinks(content));
+  time('Matcher, 2 typos (scan)', () => plugin.detectPotentialLinks(content));
+}
+
+main();
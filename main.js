@@ -1,13 +1,137 @@
-const { Plugin, Modal, Setting, MarkdownView, Notice, PluginSettingTab, TFile } = require('obsidian');
+const { Plugin, Modal, Setting, MarkdownView, Notice, PluginSettingTab, TFile, TFolder, ItemView, debounce, parseFrontMatterAliases, getAllTags } = require('obsidian');
+const { StateEffect, StateField } = require('@codemirror/state');
+const { Decoration, EditorView, WidgetType } = require('@codemirror/view');
+
+// Number of files read or written between two pauses of the batch operations
+const BATCH_SIZE = 20;
+
+// Version of the persisted data schema (see loadPluginData)
+const DATA_VERSION = 2;
+
+// Frontmatter keys of the per-note linking rules
+const AUTOLINK_KEY = 'autolink';  // `autolink: false` turns off the suggestions in the note
+const AUTOLINK_IGNORE_KEY = 'autolink-ignore';  // Titles never to link in the note
+
+// Type of the sidebar view listing the unlinked mentions of the current note
+const VIEW_TYPE_UNLINKED_MENTIONS = 'note-linker-unlinked-mentions';
+
+// Source of the previews of the target notes, listed in the Page Preview settings
+const HOVER_SOURCE = 'note-linker';
+
+// Number of applied link batches kept in the history
+const HISTORY_LIMIT = 50;
+
+// Number of characters recorded on each side of an applied link, to find it again once the note is edited
+const HISTORY_ANCHOR_LENGTH = 30;
+
+// Number of notes and titles listed in each ranking of the link statistics report
+const REPORT_TOP_COUNT = 25;
+
+// Interval (ms) between two reads of the core search results, complete once their number stops changing,
+// and longest wait for them
+const SEARCH_POLL_INTERVAL = 300;
+const SEARCH_TIMEOUT = 60000;
+
+// Default settings, also used by the engine when it is created outside of the plugin
+const DEFAULT_SETTINGS = {
+  excludedFolders: [],  // Folders left out of both the scanned notes and the link targets
+  // Filtering rules { action: 'include' or 'exclude', type (see FILTER_RULE_TYPES), value }
+  targetRules: [],  // Notes that can be linked to
+  sourceRules: [],  // Notes that are scanned for links
+  pageSize: 10,
+  contextLength: 40,  // Characters shown on each side of a match in the selection window
+  enableWikiLinks: false,
+  respectCase: false,
+  linkFormat: 'wikilink',  // 'wikilink', 'markdown' or 'template'
+  linkTemplate: '[[{{path}}|{{text}}]]',  // Used by the 'template' format, see buildLinkText
+  matchAliases: true,  // Match the aliases declared in each note's frontmatter
+  indexHeadings: false,  // Also link to the headings of the notes ([[Note#Heading|Heading]])
+  headingFolders: [],  // Folders whose headings are indexed, empty for the whole vault
+  excludeFrontmatter: true,  // Option to exclude frontmatter by default
+  // Approximate matching modes
+  ignoreAccents: false,  // "cafe" matches "Café"
+  inflectionLanguage: '',  // Language of the plural/inflection rules, empty to turn them off
+  fuzzyMaxDistance: 0,  // Number of typos tolerated in long titles, 0 to turn it off
+  fuzzyMinLength: 10,  // Minimum title length for typo tolerance
+  // Filters against false positives
+  wholeWords: true,  // Only match titles at word boundaries ("AI" doesn't match in "said")
+  minTitleLength: 2,  // Shorter titles and aliases are never suggested
+  stopWords: ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'],
+  excludedTitlePattern: '^[\\d\\s./:_-]+$',  // Titles made only of numbers or dates
+  // Markdown zones skipped while scanning (see EXCLUSION_ZONES)
+  excludeCodeBlocks: true,
+  excludeInlineCode: true,
+  excludeLinks: true,
+  excludeEmbeds: true,
+  excludeUrls: true,
+  excludeHeadings: true,
+  excludeComments: true,
+  excludeMath: true,
+  excludeTags: true,
+  // Suggestions ignored from LinkSelectionModal
+  ignoredTitles: [],  // Titles never suggested, in any note
+  ignoredTitlesByNote: {},  // Note path -> titles never suggested in that note
+  ignoredOccurrences: [],  // { path, title, context } of single ignored occurrences
+  // Link density, also used to find the redundant links to clean up
+  linkLimit: 0,  // Maximum number of links to the same note per scope, existing ones included, 0 for no limit
+  linkLimitScope: 'note',  // 'note', 'section' or 'paragraph'
+  skipLinkedListItems: false,  // No links in list items that already contain one
+  // Synonyms and keywords linked to a note, in addition to titles and aliases
+  dictionary: [],  // { term, target, caseSensitive, regex }
+  dictionaryFile: '',  // CSV file or note with a markdown table of terms (see parseDictionary)
+  // View options of LinkSelectionModal
+  suggestionSort: 'position',  // 'position', 'score' or 'title'
+  groupByTarget: false,
+  firstOccurrenceOnly: false,
+  // Auto-linking while typing
+  autoLinkMode: 'off',  // 'off', 'suggest' (one suggestion to accept) or 'insert' (high-confidence links only)
+  autoLinkDelay: 2000,  // Pause in typing (ms) before the paragraphs behind the cursor are scanned
+  autoLinkMinScore: 70  // Minimum score of the links inserted without confirmation
+};
 
 module.exports = class NoteLinkerPlugin extends Plugin {
+  // Load settings and cache at startup
   async onload() {
+    this.noteTitlesCache = [];
+    this.indexedFiles = {};  // Path -> modification time of every indexed note
+    this.cacheUpToDate = false;
+    this.requestSaveCache = debounce(() => this.saveCache(), 2000, true);
+    this.dictionaryEntries = [];  // Index entries of the dictionary terms
+    this.requestLoadDictionary = debounce(() => this.loadDictionary(), 1000, true);
+
     await this.loadSettings();
-    await this.loadCache();  // Load persistent cache
-  
-    // Subscribe to file creation and deletion events
-    this.registerEvent(this.app.vault.on('create', (file) => this.onFileCreated(file)));
-    this.registerEvent(this.app.vault.on('delete', (file) => this.onFileDeleted(file)));
+
+    // Public API for other plugins and scripts (see the README)
+    this.api = {
+      LinkEngine,  // Headless engine, to index any list of notes
+      createEngine: (settings = {}) => new LinkEngine({ ...this.settings, ...settings }),
+      // Candidate links of a text against the vault index, with the ignore rules of the note at `sourcePath`
+      detectLinks: (text, sourcePath = null) => {
+        this.updateCache();
+        const file = sourcePath ? this.app.vault.getAbstractFileByPath(sourcePath) : null;
+        return this.detectLinksInFile(file instanceof TFile ? file : null, text);
+      },
+      // Text with the chosen links applied, written as the plugin would from the note at `sourcePath`
+      applyLinks: (text, links, sourcePath = '') => this.applyLinksToContent(text, links, sourcePath).content
+    };
+
+    // The vault is fully known once the layout is ready: the saved index can be checked against it,
+    // and the 'create' events fired for every existing file while loading are over
+    this.app.workspace.onLayoutReady(async () => {
+      await this.loadCache();  // Load persistent cache
+      await this.loadDictionary();
+
+      // Keep the index up to date as notes are created, deleted, renamed or edited
+      this.registerEvent(this.app.vault.on('create', (file) => this.onFileCreated(file)));
+      this.registerEvent(this.app.vault.on('delete', (file) => this.onFileDeleted(file)));
+      this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.onFileRenamed(file, oldPath)));
+      this.registerEvent(this.app.metadataCache.on('changed', (file) => this.onMetadataChanged(file)));
+      this.registerEvent(this.app.vault.on('modify', (file) => {
+        if (file.path === this.getDictionaryFilePath()) {
+          this.requestLoadDictionary();
+        }
+      }));
+    });
   
     // Add a command to launch the plugin
     this.addCommand({
@@ -15,67 +139,399 @@ module.exports = class NoteLinkerPlugin extends Plugin {
       name: 'Scan Note for Links',
       callback: () => this.runNoteLinker(),
     });
+
+    // Add a command to link a whole folder, tag, search result or the vault at once
+    this.addCommand({
+      id: 'scan-vault-for-links',
+      name: 'Scan Vault for Links',
+      callback: () => this.runBatchLinker(),
+    });
   
+    // Add a command to link the mentions of the active note in the other notes back to it
+    this.addCommand({
+      id: 'find-mentions-of-note',
+      name: 'Find Unlinked Mentions of This Note',
+      callback: () => this.runReverseLinker(),
+    });
+
+    // Register the sidebar view and a command to open it
+    this.registerView(VIEW_TYPE_UNLINKED_MENTIONS, (leaf) => new UnlinkedMentionsView(leaf, this));
+    this.addCommand({
+      id: 'open-unlinked-mentions',
+      name: 'Open Unlinked Mentions View',
+      callback: () => this.activateUnlinkedMentionsView(),
+    });
+
+    // Auto-linking: scan the paragraphs behind the cursor once typing pauses
+    this.linkSuggestion = null;  // { file, editor, link } shown at its mention in the editor
+    const linkSuggestionExtension = createLinkSuggestionExtension(this);
+    this.setLinkSuggestionEffect = linkSuggestionExtension.setLinkSuggestion;
+    this.registerEditorExtension(linkSuggestionExtension.field);
+    this.autoLinkStatusEl = this.addStatusBarItem();
+    this.updateAutoLinkDelay();
+    this.registerEvent(this.app.workspace.on('editor-change', (editor, info) => {
+      if (this.settings.autoLinkMode !== 'off' && info && info.file) {
+        // The text moved, the suggestion may no longer be where it was (the editor clears it on the same change)
+        this.linkSuggestion = null;
+        this.requestAutoLink(editor, info.file);
+      }
+    }));
+    this.addCommand({
+      id: 'accept-link-suggestion',
+      name: 'Accept Link Suggestion',
+      checkCallback: (checking) => {
+        if (!this.linkSuggestion) {
+          return false;
+        }
+        if (!checking) {
+          this.acceptLinkSuggestion();
+        }
+        return true;
+      },
+    });
+    this.addCommand({
+      id: 'ignore-link-suggestion',
+      name: 'Ignore Link Suggestion',
+      checkCallback: (checking) => {
+        if (!this.linkSuggestion) {
+          return false;
+        }
+        if (!checking) {
+          const { link, file } = this.linkSuggestion;
+          this.showLinkSuggestion(null);
+          this.ignoreLink(link, 'occurrence', file);
+        }
+        return true;
+      },
+    });
+    // Add a command to report the orphan notes, the unlinked mentions and the links added over time
+    this.addCommand({
+      id: 'link-statistics-report',
+      name: 'Show Link Statistics',
+      callback: () => this.runLinkReport(),
+    });
+
+    // Add a command to review and revert the links applied by the plugin
+    this.addCommand({
+      id: 'open-link-history',
+      name: 'Show Link History',
+      callback: () => new LinkHistoryModal(this.app, this).open(),
+    });
+
+    this.addCommand({
+      id: 'undo-auto-links',
+      name: 'Undo Last Automatic Links',
+      callback: () => this.undoAutoLinks(),
+    });
+
+    // Add commands to strip the repeated links and self-links of the active note or of a set of notes
+    this.addCommand({
+      id: 'clean-up-note-links',
+      name: 'Clean Up Redundant Links in Note',
+      callback: () => this.runLinkCleanup(),
+    });
+
+    this.addCommand({
+      id: 'clean-up-vault-links',
+      name: 'Clean Up Redundant Links in Vault',
+      callback: () => new BatchScopeModal(this.app, (scope) => this.runLinkCleanup(scope), 'Clean Up Redundant Links').open(),
+    });
+
+    // Preview the target notes when hovering them in the selection window
+    this.registerHoverLinkSource(HOVER_SOURCE, { display: 'Better Note Linker', defaultMod: false });
+
     // Add a settings panel to exclude folders and manage wikilink options
     this.addSettingTab(new NoteLinkerSettingTab(this.app, this));
   
     new Notice('Note Linker Plugin Loaded');
   }
 
+  // Read the persisted data, migrating older formats to the current schema:
+  // { version, settings, index: { settingsKey, entries, files } }
+  async loadPluginData() {
+    const data = await this.loadData();
+    if (data && data.version === DATA_VERSION) {
+      return data;
+    }
+
+    // Version 1 stored the settings at the root, where saveCache could overwrite them with the index.
+    // Its index has no modification times to validate, so it is dropped and rebuilt.
+    const { noteTitlesCache, cacheUpToDate, ...settings } = data || {};
+    return { version: DATA_VERSION, settings, index: null };
+  }
+
+  // Write the settings, the link statistics and the index in their own sections
+  async savePluginData() {
+    await this.saveData({
+      version: DATA_VERSION,
+      settings: this.settings,
+      stats: this.linkStats,
+      history: this.linkHistory,
+      index: this.cacheUpToDate ? {
+        settingsKey: this.getIndexSettingsKey(),
+        entries: this.noteTitlesCache,
+        files: this.indexedFiles
+      } : null
+    });
+  }
+
   // Load saved settings
   async loadSettings() {
-    this.settings = Object.assign({
-      excludedFolders: [],
-      pageSize: 10,
-      enableWikiLinks: false,
-      respectCase: false,
-      excludeFrontmatter: true  // Option to exclude frontmatter by default
-    }, await this.loadData());
+    const { settings, stats, history } = await this.loadPluginData();
+    // Applied batches, oldest first: { kind, date, links: [{ path, from, text, originalText, reverted }] }
+    this.linkHistory = history || [];
+    this.linkStats = Object.assign({
+      linksAdded: {}  // Day (YYYY-MM-DD) -> number of links added by the plugin
+    }, stats);
+    // A copy, since the settings are edited in place
+    this.settings = Object.assign(JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), settings);
+    // The engine reads the settings object, changes made in the settings tab apply to it
+    this.engine = new LinkEngine(this.settings);
   }
   
   async saveSettings() {
-    await this.saveData(this.settings);
+    await this.savePluginData();
+  }
+
+  // Markdown files that are not in an excluded folder
+  getIndexableFiles() {
+    return this.app.vault.getMarkdownFiles().filter(file => this.isLinkTarget(file));
+  }
+
+  // Check whether a note is in one of the excluded folders
+  isInExcludedFolder(file) {
+    return (this.settings.excludedFolders || []).some(folder => isInFolder(file.path, folder));
+  }
+
+  // Check a note against a rule set: a matching exclude rule leaves it out and,
+  // when the set has include rules, one of them must match
+  passesRules(file, rules = []) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    const matching = rules.filter(rule => matchesFilterRule(rule, file, cache));
+    if (matching.some(rule => rule.action === 'exclude')) {
+      return false;
+    }
+    return !rules.some(rule => rule.action === 'include') || matching.some(rule => rule.action === 'include');
+  }
+
+  // Check whether a note can be linked to
+  isLinkTarget(file) {
+    return !this.isInExcludedFolder(file) && this.passesRules(file, this.settings.targetRules);
+  }
+
+  // Check whether a note is scanned for links
+  isScannable(file) {
+    return !this.isInExcludedFolder(file) && this.passesRules(file, this.settings.sourceRules);
+  }
+
+  // Number of notes of the vault matched by a rule, previewed in the rule editor
+  countRuleMatches(rule) {
+    return this.app.vault.getMarkdownFiles()
+      .filter(file => matchesFilterRule(rule, file, this.app.metadataCache.getFileCache(file))).length;
   }
   
   // Function to keep cache up to date if needed
   updateCache() {
     if (!this.cacheUpToDate) {
-      const excludedFolders = this.settings.excludedFolders || [];
       this.noteTitlesCache = [];
+      this.indexedFiles = {};
+      this.titleMatcher = null;  // The matcher must be rebuilt
 
-      // Iterate through all non-excluded folders
-      this.app.vault.getAllLoadedFiles().forEach((file) => {
-        // Check if the file is in an excluded folder
-        const isExcluded = excludedFolders.some(folder => file.path.startsWith(folder));
-
-        // If the file is not excluded and is a markdown file, we add it to the cache
-        if (!isExcluded && file instanceof TFile && file.extension === 'md') {
-          this.noteTitlesCache.push({
-            title: file.basename,  // The file name without extension
-            path: file.path        // The full file path
-          });
-        }
+      // Iterate through all the markdown files of the non-excluded folders
+      this.getIndexableFiles().forEach((file) => {
+        this.noteTitlesCache.push(...this.getNoteEntries(file));
+        this.indexedFiles[file.path] = file.stat.mtime;
       });
 
       this.cacheUpToDate = true;  // The cache is up to date
+      this.requestSaveCache();
     }
   }
 
-  // When a file is created, add it to the cache if applicable and indicate that the cache is no longer up to date
-  onFileCreated(file) {
-    if (file.extension === 'md') {
-      const excludedFolders = this.settings.excludedFolders || [];
-      if (!excludedFolders.some(folder => file.path.startsWith(folder))) {
-        this.noteTitlesCache.push({ title: file.basename, path: file.path });
-        this.cacheUpToDate = false; // The cache must be updated
+  // Build the cache entries of a note: one for its title, plus one per frontmatter alias and indexed heading
+  getNoteEntries(file) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    return LinkEngine.getNoteEntries({
+      path: file.path,
+      aliases: parseFrontMatterAliases(cache?.frontmatter) || [],
+      headings: this.isInHeadingScope(file) ? cache?.headings || [] : [],
+      tags: (cache && getAllTags(cache)) || []
+    }, this.settings);
+  }
+
+  // Check whether the headings of a note are indexed
+  isInHeadingScope(file) {
+    const headingFolders = this.settings.headingFolders || [];
+    return headingFolders.length === 0 || headingFolders.some(folder => isInFolder(file.path, folder));
+  }
+
+  // Check whether a file belongs in the index: a markdown file outside of the excluded folders
+  isIndexable(file) {
+    return file instanceof TFile && file.extension === 'md' && this.isLinkTarget(file);
+  }
+
+  // Remove the entries of a note from the index
+  removeFromIndex(path) {
+    if (path in this.indexedFiles) {
+      this.noteTitlesCache = this.noteTitlesCache.filter(note => note.path !== path);
+      delete this.indexedFiles[path];
+      this.titleMatcher = null;  // The matcher must be rebuilt
+    }
+  }
+
+  // Add a note to the index, or refresh its entries if it is already indexed.
+  // Returns whether the saved index must be updated. Most edits leave the titles, aliases and headings as they
+  // were: the matcher is then kept, and only the new modification time (checked on load) and tags are saved.
+  addToIndex(file) {
+    if (!this.isIndexable(file)) {
+      const wasIndexed = file.path in this.indexedFiles;
+      this.removeFromIndex(file.path);
+      return wasIndexed;
+    }
+
+    const entries = this.getNoteEntries(file);
+    if (file.path in this.indexedFiles) {
+      const indexedEntries = this.noteTitlesCache.filter(note => note.path === file.path);
+      const withoutTags = (list) => JSON.stringify(list.map(({ tags, ...entry }) => entry));
+      if (withoutTags(indexedEntries) === withoutTags(entries)) {
+        const mtimeChanged = this.indexedFiles[file.path] !== file.stat.mtime;
+        this.indexedFiles[file.path] = file.stat.mtime;
+        // The matcher holds the entries themselves, so new tags (used by the scores) are updated in place
+        const tagsChanged = indexedEntries.some((entry, i) => entry.tags.join('\n') !== entries[i].tags.join('\n'));
+        indexedEntries.forEach((entry, i) => {
+          entry.tags = entries[i].tags;
+        });
+        return mtimeChanged || tagsChanged;
       }
+      this.removeFromIndex(file.path);
+    }
+
+    this.noteTitlesCache.push(...entries);
+    this.indexedFiles[file.path] = file.stat.mtime;
+    this.titleMatcher = null;  // The matcher must be rebuilt
+    return true;
+  }
+
+  // When a file is created, add it to the index if applicable
+  onFileCreated(file) {
+    if (file instanceof TFile && file.extension === 'md') {
+      this.addToIndex(file);
+      this.requestSaveCache();
     }
+    this.requestLoadDictionary();  // Dictionary targets may resolve to another note
   }
 
-  // When a file is deleted, remove it from the cache and indicate that the cache is no longer up to date
+  // When a file or a folder is deleted, remove its notes from the index
   onFileDeleted(file) {
-    this.noteTitlesCache = this.noteTitlesCache.filter(note => note.path !== file.path);
-    this.cacheUpToDate = false; // The cache must be updated
+    if (file instanceof TFolder) {
+      Object.keys(this.indexedFiles)
+        .filter(path => path.startsWith(`${file.path}/`))
+        .forEach(path => this.removeFromIndex(path));
+    } else {
+      this.removeFromIndex(file.path);
+    }
+    this.requestSaveCache();
+    this.requestLoadDictionary();
+  }
+
+  // When a note or a folder is renamed or moved, move its entries to the new paths
+  onFileRenamed(file, oldPath) {
+    if (file instanceof TFolder) {
+      // Obsidian may or may not report each moved note, so the folder is handled as a whole
+      Object.keys(this.indexedFiles)
+        .filter(path => path.startsWith(`${oldPath}/`))
+        .forEach(path => {
+          this.removeFromIndex(path);
+          const movedFile = this.app.vault.getAbstractFileByPath(`${file.path}${path.slice(oldPath.length)}`);
+          if (movedFile) {
+            this.addToIndex(movedFile);
+          }
+          this.moveIgnoreRules(path, `${file.path}${path.slice(oldPath.length)}`);
+          this.moveHistoryLinks(path, `${file.path}${path.slice(oldPath.length)}`);
+        });
+    } else if (file instanceof TFile) {
+      this.removeFromIndex(oldPath);
+      this.addToIndex(file);
+      this.moveIgnoreRules(oldPath, file.path);
+      this.moveHistoryLinks(oldPath, file.path);
+    }
+    this.requestSaveCache();
+    this.requestLoadDictionary();
+  }
+
+  // Point the recorded links of a renamed note to its new path, so that they can still be reverted
+  moveHistoryLinks(oldPath, newPath) {
+    let changed = false;
+    this.linkHistory.forEach(batch => batch.links.forEach(link => {
+      if (link.path === oldPath) {
+        link.path = newPath;
+        changed = true;
+      }
+    }));
+    if (changed) {
+      this.savePluginData();
+    }
+  }
+
+  // Keep the per-note ignore rules attached to a renamed note
+  moveIgnoreRules(oldPath, newPath) {
+    let changed = false;
+    if (this.settings.ignoredTitlesByNote[oldPath]) {
+      this.settings.ignoredTitlesByNote[newPath] = this.settings.ignoredTitlesByNote[oldPath];
+      delete this.settings.ignoredTitlesByNote[oldPath];
+      changed = true;
+    }
+    this.settings.ignoredOccurrences.forEach(occurrence => {
+      if (occurrence.path === oldPath) {
+        occurrence.path = newPath;
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.saveSettings();
+    }
+  }
+
+  // When a note changes, re-read its aliases and tags from the metadata cache
+  onMetadataChanged(file) {
+    if (file instanceof TFile && file.extension === 'md' && this.addToIndex(file)) {
+      this.requestSaveCache();
+    }
+  }
+
+  // Bring the index in line with the settings without a full rebuild:
+  // drop the notes that are now excluded and add the ones that no longer are
+  syncIndexWithSettings() {
+    const indexableFiles = this.getIndexableFiles();
+    const indexablePaths = new Set(indexableFiles.map(file => file.path));
+
+    const removedPaths = new Set(Object.keys(this.indexedFiles).filter(path => !indexablePaths.has(path)));
+    if (removedPaths.size > 0) {
+      this.noteTitlesCache = this.noteTitlesCache.filter(note => !removedPaths.has(note.path));
+      removedPaths.forEach(path => delete this.indexedFiles[path]);
+    }
+
+    indexableFiles
+      .filter(file => !(file.path in this.indexedFiles))
+      .forEach(file => {
+        this.noteTitlesCache.push(...this.getNoteEntries(file));
+        this.indexedFiles[file.path] = file.stat.mtime;
+      });
+
+    this.titleMatcher = null;
+    this.requestSaveCache();
+    this.requestLoadDictionary();  // Dictionary terms of the excluded notes are dropped too
+  }
+
+  // Re-read the entries of every indexed note, after a setting that changes them (such as alias matching)
+  refreshIndexEntries() {
+    const files = Object.keys(this.indexedFiles)
+      .map(path => this.app.vault.getAbstractFileByPath(path))
+      .filter(file => this.isIndexable(file));
+
+    this.noteTitlesCache = files.flatMap(file => this.getNoteEntries(file));
+    this.titleMatcher = null;
+    this.requestSaveCache();
   }
 
   async runNoteLinker() {
@@ -89,11 +545,16 @@ module.exports = class NoteLinkerPlugin extends Plugin {
       const editor = activeView.editor;
       const selectedText = editor.getSelection();
       const activeFile = activeView.file;
-      let content = selectedText ? selectedText : await this.app.vault.read(activeFile);
+      // Read from the editor so that the match offsets line up with the text that will be edited
+      let content = selectedText ? selectedText : editor.getValue();
+      // Offset of the scanned content in the note, used to turn match indexes into note positions
+      let offset = selectedText ? editor.posToOffset(editor.getCursor('from')) : 0;
   
       // Exclude frontmatter if the option is enabled
       if (this.settings.excludeFrontmatter) {
-        content = this.removeFrontmatter(content);
+        const frontmatterLength = getFrontmatterLength(content);
+        content = content.slice(frontmatterLength);
+        offset += frontmatterLength;
       }
   
       // Create and display the progress window
@@ -110,13 +571,16 @@ module.exports = class NoteLinkerPlugin extends Plugin {
   
       // Scan the content of the active note
       progressModal.setProgress(75, 'Scanning the active note...');
-      const potentialLinks = this.detectPotentialLinks(content);
+      // The density limits count the links of the whole note, even when only a selection is scanned
+      const potentialLinks = this.engine.limitDensity(editor.getValue(),
+        this.detectPotentialLinks(content, offset, activeFile), this.getLinkOptions(activeFile.path));
   
       // Scan completed
       progressModal.setProgress(100, 'Scan complete.');
       progressModal.close(); // Close the progress bar
   
       if (potentialLinks.length > 0) {
+        this.scoreLinks(activeFile, potentialLinks);
         new LinkSelectionModal(this.app, potentialLinks, activeFile, editor, this).open();
       } else {
         new Notice('No potential links found.');
@@ -127,410 +591,3138 @@ module.exports = class NoteLinkerPlugin extends Plugin {
     }
   }
   
-  // Function to remove frontmatter from note content
-  removeFrontmatter(content) {
-    const frontmatterRegex = /^---[\s\S]+?---\n/;  // Regex to capture frontmatter between ---
-    return content.replace(frontmatterRegex, '');  // Remove frontmatter
-  }
-  
-
   // Index the notes while updating progress
   async indexNotes(progressModal) {
-    const allNotes = this.app.vault.getMarkdownFiles();
-    const excludedFolders = this.settings.excludedFolders || [];
-  
     // Filter non-excluded notes
-    const notesToIndex = allNotes.filter(note => !excludedFolders.some(folder => note.path.startsWith(folder)));
+    const notesToIndex = this.getIndexableFiles();
     this.noteTitlesCache = [];
+    this.indexedFiles = {};
+    this.titleMatcher = null;
   
     const totalNotes = notesToIndex.length;
   
-    // Use a recursive function with setTimeout to process in batches
-    const processBatch = (startIndex) => {
-      const batchSize = 50;  // Number of files to process per batch
-      for (let i = startIndex; i < Math.min(startIndex + batchSize, totalNotes); i++) {
-        this.noteTitlesCache.push({ title: notesToIndex[i].basename, path: notesToIndex[i].path });
-        const progress = Math.round((i + 1) / totalNotes * 100);  // Calculate progress
-        progressModal.setProgress(progress, `Indexing note ${i + 1} of ${totalNotes}...`);
-      }
+    // Use a recursive function with setTimeout to process in batches, resolving once every note is indexed
+    return new Promise((resolve) => {
+      const processBatch = (startIndex) => {
+        const batchSize = 50;  // Number of files to process per batch
+        for (let i = startIndex; i < Math.min(startIndex + batchSize, totalNotes); i++) {
+          this.noteTitlesCache.push(...this.getNoteEntries(notesToIndex[i]));
+          this.indexedFiles[notesToIndex[i].path] = notesToIndex[i].stat.mtime;
+          const progress = Math.round((i + 1) / totalNotes * 100);  // Calculate progress
+          progressModal.setProgress(progress, `Indexing note ${i + 1} of ${totalNotes}...`);
+        }
   
-      // If all files are not yet processed, continue after a short delay
-      if (startIndex + batchSize < totalNotes) {
-        setTimeout(() => processBatch(startIndex + batchSize), 10);  // Small pause between batches
-      } else {
-        this.cacheUpToDate = true;
-        progressModal.setProgress(100, 'Indexation terminée.');
-      }
-    };
+        // If all files are not yet processed, continue after a short delay
+        if (startIndex + batchSize < totalNotes) {
+          setTimeout(() => processBatch(startIndex + batchSize), 10);  // Small pause between batches
+        } else {
+          this.cacheUpToDate = true;
+          progressModal.setProgress(100, 'Indexation terminée.');
+          this.saveCache().then(resolve, resolve);  // Persist the fresh index, even if saving fails
+        }
+      };
   
-    // Start the batch process
-    processBatch(0);
+      // Start the batch process
+      processBatch(0);
+    });
   }
 
+  // Load the index saved by the previous session, keeping it only if it still matches the vault
   async loadCache() {
-    const cachedData = await this.loadData();
-    if (cachedData && cachedData.noteTitlesCache && cachedData.cacheUpToDate) {
-      this.noteTitlesCache = cachedData.noteTitlesCache;
+    const { index } = await this.loadPluginData();
+    if (this.isIndexValid(index)) {
+      this.noteTitlesCache = index.entries;
+      this.indexedFiles = index.files;
+      this.titleMatcher = null;
       this.cacheUpToDate = true;
     } else {
+      this.cacheUpToDate = false;
       this.updateCache();  // Recreate the cache if the data is unavailable or outdated
     }
   }
-  
-  
-  async saveCache() {
-    await this.saveData({
-      noteTitlesCache: this.noteTitlesCache,
-      cacheUpToDate: this.cacheUpToDate
+
+  // A saved index is valid when it was built with the same settings, from the same notes, with the same modification times
+  isIndexValid(index) {
+    if (!index || !Array.isArray(index.entries) || !index.files || index.settingsKey !== this.getIndexSettingsKey()) {
+      return false;
+    }
+
+    const files = this.getIndexableFiles();
+    return files.length === Object.keys(index.files).length
+      && files.every(file => index.files[file.path] === file.stat.mtime);
+  }
+
+  // Settings that change the content of the index: an index built with other values is stale
+  getIndexSettingsKey() {
+    return JSON.stringify({
+      excludedFolders: this.settings.excludedFolders || [],
+      targetRules: this.settings.targetRules || [],
+      matchAliases: this.settings.matchAliases,
+      indexHeadings: this.settings.indexHeadings,
+      headingFolders: this.settings.headingFolders || []
     });
   }
-  
-  // Load settings and cache at startup
-  async onload() {
-    await this.loadSettings();
-    await this.loadCache();  // Load persistent cache
-  
-    // Subscribe to file creation and deletion events
-    this.registerEvent(this.app.vault.on('create', (file) => this.onFileCreated(file)));
-    this.registerEvent(this.app.vault.on('delete', (file) => this.onFileDeleted(file)));
-  
-    // Add a command to launch the plugin
-    this.addCommand({
-      id: 'scan-note-for-links',
-      name: 'Scan Note for Links',
-      callback: () => this.runNoteLinker(),
+
+  async saveCache() {
+    await this.savePluginData();
+  }
+
+  // Return the multi-pattern matcher for the current cache and dictionary, building it once per rebuild
+  getTitleMatcher() {
+    if (!this.titleMatcher) {
+      this.titleMatcher = this.engine.createMatcher([...(this.noteTitlesCache || []), ...(this.dictionaryEntries || [])]);
+    }
+    return this.titleMatcher;
+  }
+
+  getDictionaryFilePath() {
+    const path = (this.settings.dictionaryFile || '').trim();
+    return path && !/\.(md|csv)$/i.test(path) ? `${path}.md` : path;
+  }
+
+  // Resolve the terms of the settings and of the dictionary file to index entries.
+  // Targets are link paths ("Note", "folder/Note" or "[[Note]]"); terms whose target is missing or excluded are left out.
+  async loadDictionary() {
+    const terms = [...(this.settings.dictionary || [])];
+    const file = this.app.vault.getAbstractFileByPath(this.getDictionaryFilePath());
+    if (file instanceof TFile) {
+      terms.push(...parseDictionary(await this.app.vault.cachedRead(file), file.extension === 'csv'));
+    }
+
+    this.dictionaryEntries = terms.flatMap(term => {
+      const linkpath = term.target.replace(/^\[\[|\]\]$/g, '').split('|')[0].trim();
+      const target = term.term.trim() && linkpath ? this.app.metadataCache.getFirstLinkpathDest(linkpath, '') : null;
+      if (!target || !this.isIndexable(target)) {
+        return [];
+      }
+      const cache = this.app.metadataCache.getFileCache(target);
+      return [LinkEngine.getDictionaryEntry(term, target.path, (cache && getAllTags(cache)) || [])];
     });
-  
-    // Add a settings panel to exclude folders and manage wikilink options
-    this.addSettingTab(new NoteLinkerSettingTab(this.app, this));
-  
-    new Notice('Note Linker Plugin Loaded');
+    this.titleMatcher = null;  // The matcher must be rebuilt
   }
-  
 
-  // Function to detect note titles that can be turned into links
-  detectPotentialLinks(content) {
-    const detectedLinks = [];
+  // Gather the ignore rules that apply to a scanned note: the ignore lists of the settings and the note's frontmatter
+  getIgnoreRules(sourceFile) {
+    const frontmatter = sourceFile ? this.app.metadataCache.getFileCache(sourceFile)?.frontmatter : null;
+    const titles = [...(this.settings.ignoredTitles || [])];
 
-    for (const note of this.noteTitlesCache) {
-      const title = this.escapeRegExp(note.title);  // Escape the title to handle special characters in the regex
+    if (sourceFile) {
+      titles.push(...((this.settings.ignoredTitlesByNote || {})[sourceFile.path] || []));
+    }
+    if (frontmatter && frontmatter[AUTOLINK_IGNORE_KEY]) {
+      titles.push(...[].concat(frontmatter[AUTOLINK_IGNORE_KEY]));
+    }
 
-      // Adjust the regex to match escaped characters with or without the \
-      // Modify parentheses to make them flexible for escaped characters
-      const regex = new RegExp(`(?<!\\[\\[)(${title.replace(/([()])/g, '\\\\?$1')})(?!\\|?\\]\\])`, 'gi'); 
+    return {
+      // Notes opted out in their frontmatter or left out by the scanning rules
+      skipNote: (!!frontmatter && String(frontmatter[AUTOLINK_KEY]).toLowerCase() === 'false')
+        || (!!sourceFile && !this.isScannable(sourceFile)),
+      titles: new Set(titles.map(title => String(title).trim().toLowerCase())),
+      occurrences: sourceFile ? (this.settings.ignoredOccurrences || []).filter(occurrence => occurrence.path === sourceFile.path) : []
+    };
+  }
 
-      let match;
-      while ((match = regex.exec(content)) !== null) {
-        const originalText = match[1];  // The text detected as is in the document
-        const surroundingText = `${match.input.slice(Math.max(0, match.index - 20), match.index)}${originalText}${match.input.slice(match.index + originalText.length, match.index + originalText.length + 20)}`;
+  // Name under which a link is ignored: the heading for heading links, the note title otherwise
+  getLinkName(link) {
+    return link.heading || link.title;
+  }
 
-        detectedLinks.push({
-          title: note.title, // Use the original note title (with correct case)
-          context: surroundingText,
-          originalMatch: originalText, // Keep the version of the text in the note for replacement
-          notePath: note.path,
-          matchIndex: [match.index, match.index + match[0].length]
-        });
+  // Check a detected link against the ignore rules
+  isLinkIgnored(link, ignoreRules) {
+    if ([link.title, link.alias, link.heading].some(name => name && ignoreRules.titles.has(name.toLowerCase()))) {
+      return true;
+    }
+    return ignoreRules.occurrences.some(occurrence => occurrence.title === this.getLinkName(link) && occurrence.context === link.context);
+  }
+
+  // Remember a rejected suggestion: 'occurrence' (this occurrence), 'note' (this title in this note) or 'everywhere'
+  async ignoreLink(link, level, sourceFile) {
+    const name = this.getLinkName(link);
+    if (level === 'everywhere') {
+      if (!this.settings.ignoredTitles.includes(name)) {
+        this.settings.ignoredTitles.push(name);
       }
+    } else if (level === 'note') {
+      const titles = this.settings.ignoredTitlesByNote[sourceFile.path] || [];
+      if (!titles.includes(name)) {
+        this.settings.ignoredTitlesByNote[sourceFile.path] = [...titles, name];
+      }
+    } else {
+      this.settings.ignoredOccurrences.push({ path: sourceFile.path, title: name, context: link.context });
     }
+    await this.saveSettings();
+  }
 
-    // Sort detected links by their position in the content (matchIndex[0])
-    return detectedLinks.sort((a, b) => a.matchIndex[0] - b.matchIndex[0]);
+  // Function to detect note titles that can be turned into links.
+  // `offset` is the position of `content` in the note, added to every matchIndex.
+  // When `sourceFile` is given, its ignore rules and frontmatter linking rules are applied.
+  detectPotentialLinks(content, offset = 0, sourceFile = null, matcher = this.getTitleMatcher()) {
+    const ignoreRules = this.getIgnoreRules(sourceFile);
+    if (ignoreRules.skipNote) {
+      return [];
+    }
+
+    return this.engine.detect(content, {
+      offset,
+      sourcePath: sourceFile ? sourceFile.path : null,
+      matcher,
+      isIgnored: (link) => this.isLinkIgnored(link, ignoreRules),
+      pickTarget: (targets) => this.pickDefaultTarget(targets, sourceFile)
+    });
   }
 
+  // Among ambiguous targets, default to the note Obsidian itself resolves the title to from the scanned note
+  pickDefaultTarget(targets, sourceFile) {
+    if (targets.length > 1) {
+      const sourcePath = sourceFile ? sourceFile.path : '';
+      const resolvedTarget = targets.find(target =>
+        this.app.metadataCache.getFirstLinkpathDest(target.title, sourcePath)?.path === target.path);
+      if (resolvedTarget) {
+        return resolvedTarget;
+      }
+    }
+    return targets[0];
+  }
 
+  // Score each link from 0 to 100. Long titles, targets that link back, that share tags or the folder of the note
+  // and targets with many backlinks rank first; targets the note already links to rank last.
+  scoreLinks(sourceFile, links) {
+    const resolvedLinks = this.app.metadataCache.resolvedLinks || {};
+    const outgoingLinks = resolvedLinks[sourceFile.path] || {};
+    const getFolder = (path) => path.slice(0, Math.max(0, path.lastIndexOf('/')));
 
-  
+    // Number of notes linking to each note
+    const backlinkCounts = {};
+    Object.values(resolvedLinks).forEach(targets => {
+      Object.keys(targets).forEach(target => {
+        backlinkCounts[target] = (backlinkCounts[target] || 0) + 1;
+      });
+    });
 
+    const sourceCache = this.app.metadataCache.getFileCache(sourceFile);
+    const sourceTags = new Set(((sourceCache && getAllTags(sourceCache)) || []).map(tag => tag.toLowerCase()));
+    const targetTags = {};
+    this.noteTitlesCache.forEach(note => {
+      targetTags[note.path] = note.tags || [];
+    });
 
+    links.forEach(link => {
+      const sharedTags = (targetTags[link.notePath] || []).filter(tag => sourceTags.has(tag)).length;
 
-  async insertLinks(activeFile, editor, linksToInsert) {
-    let content = await this.app.vault.read(activeFile);
-  
-    linksToInsert.forEach(link => {
-      const title = link.title;  // The note title (with correct case)
-      const originalText = link.originalMatch;  // The original text in the note
-  
-      let replacement;
-      if (this.settings.enableWikiLinks) {
-        // If the case differs, we use an alias
-        if (originalText !== title && this.settings.respectCase) {
-          replacement = `[[${title}|${originalText}]]`;  // Keep the original case
-        } else {
-          replacement = `[[${title}]]`;  // Otherwise, just a regular link
-        }
-      } else {
-        replacement = `[[${title}]]`;
+      let score = 40 * Math.min(link.originalMatch.length, 30) / 30;
+      if ((resolvedLinks[link.notePath] || {})[sourceFile.path]) {
+        score += 20;  // The target already links to this note
       }
-  
-      // Adjust the regex to handle escaped characters during replacement
-      const regex = new RegExp(`\\b${this.escapeRegExp(originalText).replace(/([()])/g, '\\\\?$1')}\\b`, 'gi');
-      content = content.replace(regex, replacement);
+      score += 5 * Math.min(sharedTags, 3);
+      if (getFolder(link.notePath) === getFolder(sourceFile.path)) {
+        score += 10;
+      }
+      score += 15 * Math.min(Math.log10((backlinkCounts[link.notePath] || 0) + 1) / 2, 1);
+      if (outgoingLinks[link.notePath]) {
+        score -= 30;  // The note already links to this target
+      }
+
+      link.score = Math.max(0, Math.min(100, Math.round(score)));
     });
-  
-    await this.app.vault.modify(activeFile, content);
-    new Notice('Links inserted successfully.');
+
+    return links;
   }
-  
-  
-  
-  
 
-  // Function to escape special characters in a regex
-  escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Build the link text that replaces a detected match in the note at `sourcePath`, in the configured link format
+  buildLinkText(link, sourcePath) {
+    return this.engine.buildLinkText(link, this.getLinkOptions(sourcePath));
   }
-}
 
-// Modal window to display progress
-class ProgressModal extends Modal {
-  constructor(app) {
-    super(app);
-    this.progressBar = null;
-    this.statusText = null;
+  // Options of the engine to write links from the note at `sourcePath`. The link path follows Obsidian's
+  // "New link format" preference: the shortest unambiguous path (e.g., folder/Title when several notes
+  // are named Title), a relative path or an absolute path
+  getLinkOptions(sourcePath) {
+    return {
+      sourcePath,
+      linkPath: (link) => {
+        const targetFile = this.app.vault.getAbstractFileByPath(link.notePath);
+        return targetFile instanceof TFile ? this.app.metadataCache.fileToLinktext(targetFile, sourcePath, true) : link.title;
+      },
+      // Existing links are resolved as Obsidian does
+      resolveLinkpath: (linkpath) => {
+        const targetFile = this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath || '');
+        return targetFile ? targetFile.path : null;
+      }
+    };
   }
 
-  onOpen() {
-    const { contentEl } = this;
+  // Keep one link per range, drop the ones overlapping another and order them back-to-front
+  prepareLinkChanges(linksToInsert, sourcePath) {
+    return this.engine.prepareChanges(linksToInsert, this.getLinkOptions(sourcePath));
+  }
 
-    contentEl.createEl('h2', { text: 'Processing...' });
+  // Insert the checked links at their exact positions, as a single undoable editor change
+  async insertLinks(activeFile, editor, linksToInsert) {
+    // Only keep the ranges whose text has not been edited since the scan
+    const changes = this.prepareLinkChanges(linksToInsert, activeFile.path).filter(change =>
+      editor.getRange(editor.offsetToPos(change.from), editor.offsetToPos(change.to)) === change.link.originalMatch);
 
-    // Create a progress bar
-    this.progressBar = contentEl.createEl('progress', { value: 0, max: 100 });
-    this.progressBar.style.width = '100%';
+    if (changes.length > 0) {
+      editor.transaction({
+        changes: changes.map(change => ({
+          from: editor.offsetToPos(change.from),
+          to: editor.offsetToPos(change.to),
+          text: change.text
+        }))
+      });
+      this.recordLinkBatch('note', this.getInsertedLinks(activeFile.path, changes, editor.getValue()));
+    }
 
-    // Create a status text
-    this.statusText = contentEl.createEl('p', { text: 'Starting...' });
+    const skipped = linksToInsert.length - changes.length;
+    if (skipped > 0) {
+      new Notice(`${changes.length} links inserted, ${skipped} skipped (overlapping or edited since the scan).`);
+    } else if (changes.length > 0) {
+      new Notice('Links inserted successfully.');
+    }
   }
 
-  // Update progress and status text
-  setProgress(value, status) {
-    this.progressBar.value = value;
-    this.statusText.setText(status);
+  // Apply links to the text of a note back-to-front, skipping the ranges whose text changed since the scan
+  applyLinksToContent(content, links, sourcePath) {
+    const result = this.engine.apply(content, links, this.getLinkOptions(sourcePath));
+    return {
+      content: result.content,
+      applied: result.changes.length,
+      inserted: this.getInsertedLinks(sourcePath, result.changes, result.content)
+    };
   }
 
-  onClose() {
-    const { contentEl } = this;
-    contentEl.empty();
+  // Positions of the links in the edited text `content`, from changes applied back-to-front: each link
+  // is shifted by the links inserted before it. The text around each link anchors it (see revertLinks).
+  getInsertedLinks(path, changes, content) {
+    let shift = 0;
+    return [...changes].reverse().map(change => {
+      const from = change.from + shift;
+      const to = from + change.text.length;
+      shift += change.text.length - (change.to - change.from);
+      return {
+        path,
+        from,
+        text: change.text,
+        originalText: change.link.originalMatch,
+        before: content.slice(Math.max(0, from - HISTORY_ANCHOR_LENGTH), from),
+        after: content.slice(to, to + HISTORY_ANCHOR_LENGTH)
+      };
+    });
   }
-}
 
-// Modal to display results in the form of markdown checklists
-class LinkSelectionModal extends Modal {
-  constructor(app, potentialLinks, activeFile, editor, plugin) {
-    super(app);
-    this.potentialLinks = potentialLinks;
-    this.pageSize = plugin.settings.pageSize || 10;
-    this.currentPage = 0;
-    this.checkedLinks = new Set();
+  // Shift the recorded links of a note by edits made by the plugin: [{ from, delta }] positioned in the
+  // text before the edits, where delta is the change of length. Links after an edit move with it.
+  remapHistoryLinks(path, edits) {
+    this.linkHistory.forEach(batch => batch.links.forEach(link => {
+      if (link.path === path && !link.reverted) {
+        link.from += edits.filter(edit => edit.from < link.from).reduce((sum, edit) => sum + edit.delta, 0);
+      }
+    }));
+  }
+
+  // Record applied links in the history, as one batch that can be reverted later
+  recordLinkBatch(kind, links) {
+    if (links.length > 0) {
+      // The links recorded before move with the new ones; these are in order, each shifted by the previous ones
+      [...new Set(links.map(link => link.path))].forEach(path => {
+        let shift = 0;
+        const edits = links.filter(link => link.path === path).map(link => {
+          const delta = link.text.length - link.originalText.length;
+          const edit = { from: link.from - shift, delta };
+          shift += delta;
+          return edit;
+        });
+        this.remapHistoryLinks(path, edits);
+      });
+
+      this.linkHistory.push({ kind, date: new Date().toISOString(), links });
+      this.linkHistory = this.linkHistory.slice(-HISTORY_LIMIT);
+      this.recordLinksAdded(links.length);  // Also saves the history
+    }
+  }
+
+  // Editor of a note open in a markdown view, or null
+  getOpenEditor(file) {
+    const leaf = this.app.workspace.getLeavesOfType('markdown').find(leaf => leaf.view.file === file);
+    return leaf ? leaf.view.editor : null;
+  }
+
+  // Restore the original text of recorded links, note by note. A link is only reverted while its exact text is
+  // at its recorded position or, if the note was edited since, at the only place with the same text around it
+  // (see getInsertedLinks). Links that can't be found this way are left as they are, and not counted.
+  async revertLinks(links) {
+    let reverted = 0;
+    const paths = [...new Set(links.filter(link => !link.reverted).map(link => link.path))];
+    for (const path of paths) {
+      const file = this.app.vault.getAbstractFileByPath(path);
+      if (!(file instanceof TFile)) {
+        continue;
+      }
+
+      // A note open in an editor is changed through the editor, to keep its cursor and undo history
+      const editor = this.getOpenEditor(file);
+      const content = editor ? editor.getValue() : await this.app.vault.read(file);
+
+      const changes = [];
+      for (const link of links.filter(link => link.path === path && !link.reverted)) {
+        const from = this.findRecordedLink(content, link);
+        const isFree = !changes.some(change => from < change.to && change.from < from + link.text.length);
+        if (from !== -1 && isFree) {
+          changes.push({ from, to: from + link.text.length, text: link.originalText, link });
+        }
+      }
+      if (changes.length === 0) {
+        continue;
+      }
+      changes.sort((a, b) => a.from - b.from);
+
+      if (editor) {
+        editor.transaction({
+          changes: changes.map(change => ({ from: editor.offsetToPos(change.from), to: editor.offsetToPos(change.to), text: change.text }))
+        });
+      } else {
+        let newContent = content;
+        [...changes].sort((a, b) => b.from - a.from).forEach(change => {
+          newContent = newContent.slice(0, change.from) + change.text + newContent.slice(change.to);
+        });
+        await this.app.vault.modify(file, newContent);
+      }
+      changes.forEach(change => {
+        change.link.reverted = true;
+      });
+      this.remapHistoryLinks(path, changes.map(change => ({ from: change.from, delta: change.text.length - (change.to - change.from) })));
+      reverted += changes.length;
+    }
+
+    await this.savePluginData();
+    return reverted;
+  }
+
+  // Position of a recorded link in the current text of its note, or -1
+  findRecordedLink(content, link) {
+    if (content.startsWith(link.text, link.from)) {
+      return link.from;
+    }
+    if (link.before === undefined) {
+      return -1;  // Recorded without its surrounding text
+    }
+
+    const anchored = link.before + link.text + link.after;
+    const index = content.indexOf(anchored);
+    return index !== -1 && content.indexOf(anchored, index + 1) === -1 ? index + link.before.length : -1;
+  }
+
+  // (Re)create the debounced auto-link scan, after a change of the delay
+  updateAutoLinkDelay() {
+    this.requestAutoLink = debounce((editor, file) => this.runAutoLink(editor, file), this.settings.autoLinkDelay, true);
+  }
+
+  // Range scanned by the auto-link mode: from the start of the paragraph before the cursor's paragraph
+  // (the one just finished) to the start of the word being typed, which is never touched
+  getAutoLinkRange(content, cursor) {
+    let to = cursor;
+    while (to > 0 && WORD_CHAR_REGEX.test(content[to - 1])) {
+      to--;
+    }
+    const paragraphStart = content.lastIndexOf('\n\n', to - 1);
+    const previousStart = paragraphStart <= 0 ? -1 : content.lastIndexOf('\n\n', paragraphStart - 1);
+    const from = previousStart === -1 ? 0 : previousStart + 2;
+    return { from, to };
+  }
+
+  // Scan the text behind the cursor once typing pauses, then suggest or insert links
+  runAutoLink(editor, file) {
+    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+    // Only the note being edited, and never while text is selected
+    if (this.settings.autoLinkMode === 'off' || !activeView || activeView.file !== file || editor.somethingSelected()) {
+      return;
+    }
+
+    this.updateCache();
+    const content = editor.getValue();
+    const { from, to } = this.getAutoLinkRange(content, editor.posToOffset(editor.getCursor()));
+    // The whole note is scanned so that the exclusion zones (code blocks, links...) are found as in a manual scan
+    const links = this.detectLinksInFile(file, content)
+      .filter(link => link.matchIndex[0] >= from && link.matchIndex[1] <= to);
+    if (links.length === 0) {
+      return;
+    }
+    this.scoreLinks(file, links);
+
+    if (this.settings.autoLinkMode === 'suggest') {
+      // Offer the mention closest to the cursor
+      this.showLinkSuggestion({ file, editor, link: links[links.length - 1] });
+      return;
+    }
+
+    // Only insert the unambiguous, exact matches scored above the threshold
+    const confident = links.filter(link => link.targets.length === 1
+      && link.matchType === 'exact' && link.score >= this.settings.autoLinkMinScore);
+    this.insertAutoLinks(file, editor, confident);
+  }
+
+  // Insert links without confirmation, recording them so that they can be undone
+  insertAutoLinks(file, editor, links) {
+    const changes = this.prepareLinkChanges(links, file.path).filter(change =>
+      editor.getRange(editor.offsetToPos(change.from), editor.offsetToPos(change.to)) === change.link.originalMatch);
+    if (changes.length === 0) {
+      return;
+    }
+
+    editor.transaction({
+      changes: changes.map(change => ({
+        from: editor.offsetToPos(change.from),
+        to: editor.offsetToPos(change.to),
+        text: change.text
+      }))
+    });
+
+    const inserted = this.getInsertedLinks(file.path, changes, editor.getValue());
+    this.recordLinkBatch('auto', inserted);
+    this.autoLinkStatusEl.setText(`Auto-linked ${inserted.length} mention${inserted.length > 1 ? 's' : ''}`);
+  }
+
+  // Revert the last automatic insertions in the active note
+  async undoAutoLinks() {
+    const activeFile = this.app.workspace.getActiveFile();
+    const batch = activeFile && [...this.linkHistory].reverse().find(batch => batch.kind === 'auto'
+      && batch.links[0].path === activeFile.path && batch.links.some(link => !link.reverted));
+    if (!batch) {
+      new Notice('No automatic links to undo in this note.');
+      return;
+    }
+
+    const reverted = await this.revertLinks(batch.links);
+    this.autoLinkStatusEl.setText('');
+    new Notice(`${reverted} automatic links removed.`);
+  }
+
+  // Show a suggestion at its mention in the editor, or clear the current one
+  showLinkSuggestion(suggestion) {
+    // `editor.cm` is the CodeMirror view of an Obsidian editor
+    const dispatch = (editor, value) => editor.cm && editor.cm.dispatch({ effects: this.setLinkSuggestionEffect.of(value) });
+    if (this.linkSuggestion && (!suggestion || this.linkSuggestion.editor !== suggestion.editor)) {
+      dispatch(this.linkSuggestion.editor, null);
+    }
+
+    this.linkSuggestion = suggestion;
+    if (suggestion) {
+      const { link } = suggestion;
+      const target = link.heading ? `${link.title}#${link.heading}` : link.title;
+      dispatch(suggestion.editor, { from: link.matchIndex[0], to: link.matchIndex[1], text: `[[${target}]]` });
+    }
+  }
+
+  // Insert the link offered in the editor
+  acceptLinkSuggestion() {
+    if (this.linkSuggestion) {
+      const { file, editor, link } = this.linkSuggestion;
+      this.showLinkSuggestion(null);
+      this.insertLinks(file, editor, [link]);
+    }
+  }
+
+  // Open the unlinked mentions view in the right sidebar, or reveal it if it is already open
+  async activateUnlinkedMentionsView() {
+    let leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE_UNLINKED_MENTIONS)[0];
+    if (!leaf) {
+      leaf = this.app.workspace.getRightLeaf(false);
+      await leaf.setViewState({ type: VIEW_TYPE_UNLINKED_MENTIONS, active: true });
+    }
+    this.app.workspace.revealLeaf(leaf);
+  }
+
+  // Open the scope picker of the vault-wide batch mode
+  runBatchLinker() {
+    new BatchScopeModal(this.app, (scope) => this.scanFilesForLinks(scope)).open();
+  }
+
+  // Find the redundant links (see LinkEngine.findRedundantLinks) of the active note, or of the notes of a scope,
+  // and let the user pick the ones to strip back to plain text
+  async runLinkCleanup(scope = null) {
+    const activeFile = this.app.workspace.getActiveFile();
+    if (!scope && (!activeFile || activeFile.extension !== 'md')) {
+      new Notice('No active note found.');
+      return;
+    }
+
+    const progressModal = new ProgressModal(this.app);
+    try {
+      progressModal.open();
+      progressModal.setProgress(0, 'Collecting notes...');
+      const files = scope ? await this.getFilesInScope(scope) : [activeFile];
+
+      const results = [];
+      for (let i = 0; i < files.length; i++) {
+        // Open notes are read from their editor, whose unsaved text is what revertLinks changes
+        const editor = this.getOpenEditor(files[i]);
+        const content = editor ? editor.getValue() : await this.app.vault.cachedRead(files[i]);
+        // The links keep the path of their note, as the recorded links that revertLinks restores
+        const links = this.engine.findRedundantLinks(content, this.getLinkOptions(files[i].path))
+          .map(link => ({ ...link, path: files[i].path }));
+        if (links.length > 0) {
+          results.push({ file: files[i], links });
+        }
+
+        progressModal.setProgress(Math.round((i + 1) / files.length * 100), `Scanning note ${i + 1} of ${files.length}...`);
+        if ((i + 1) % BATCH_SIZE === 0) {
+          await new Promise(resolve => setTimeout(resolve, 10));  // Small pause between batches
+        }
+      }
+      progressModal.close();
+
+      if (results.length > 0) {
+        new LinkCleanupModal(this.app, results, this).open();
+      } else {
+        new Notice('No redundant links found.');
+      }
+    } catch (error) {
+      progressModal.close();
+      console.error('Error looking for redundant links:', error);
+      new Notice('An error occurred while scanning the notes.');
+    }
+  }
+
+  // List the markdown files of a scope: the whole vault, a folder, a tag or the results of a search query
+  async getFilesInScope(scope) {
+    let files = this.app.vault.getMarkdownFiles().filter(file => this.isScannable(file));
+
+    if (scope.type === 'folder') {
+      const folder = scope.value.replace(/^\/+|\/+$/g, '');
+      files = files.filter(file => !folder || file.path.startsWith(`${folder}/`));
+    } else if (scope.type === 'tag') {
+      const tag = `#${scope.value.replace(/^#/, '')}`.toLowerCase();
+      files = files.filter(file => {
+        const cache = this.app.metadataCache.getFileCache(file);
+        const tags = (cache && getAllTags(cache)) || [];
+        // Nested tags (#tag/child) belong to their parent tag
+        return tags.some(fileTag => fileTag.toLowerCase() === tag || fileTag.toLowerCase().startsWith(`${tag}/`));
+      });
+    } else if (scope.type === 'search') {
+      const results = new Set(await this.getSearchResults(scope.value));
+      files = files.filter(file => results.has(file));
+    }
+
+    return files;
+  }
+
+  // Files found by Obsidian's core search for a query. The core search has no public API: the query is run in
+  // the search pane (where the user also sees it), and its results are read once they stop coming in.
+  async getSearchResults(query) {
+    const search = getCoreSearch(this.app);
+    if (!search) {
+      throw new Error('The core Search plugin is disabled');
+    }
+    search.openGlobalSearch(query);
+    const leaf = this.app.workspace.getLeavesOfType('search')[0];
+    const getResults = () => (leaf && leaf.view.dom ? [...leaf.view.dom.resultDomLookup.keys()] : []);
+
+    // The search runs in the background and lists its results progressively
+    let count = -1;
+    let stablePolls = 0;
+    for (let waited = 0; waited < SEARCH_TIMEOUT && stablePolls < 3; waited += SEARCH_POLL_INTERVAL) {
+      await new Promise(resolve => setTimeout(resolve, SEARCH_POLL_INTERVAL));
+      const results = getResults();
+      stablePolls = results.length === count ? stablePolls + 1 : 0;
+      count = results.length;
+    }
+    return getResults();
+  }
+
+  // Detect the potential links of a whole note, leaving out its frontmatter and the links to itself,
+  // within the density limits
+  detectLinksInFile(file, content, matcher) {
+    const offset = this.settings.excludeFrontmatter ? getFrontmatterLength(content) : 0;
+    const links = this.detectPotentialLinks(content.slice(offset), offset, file, matcher);
+    return this.engine.limitDensity(content, links, this.getLinkOptions(file ? file.path : null));
+  }
+
+  // Detect the potential links of several notes, reporting progress, and keep the notes with matches
+  async collectLinks(files, progressModal, matcher) {
+    const results = [];
+    for (let i = 0; i < files.length; i++) {
+      const content = await this.app.vault.cachedRead(files[i]);
+      const links = this.detectLinksInFile(files[i], content, matcher);
+      if (links.length > 0) {
+        results.push({ file: files[i], links });
+      }
+
+      progressModal.setProgress(Math.round((i + 1) / files.length * 100), `Scanning note ${i + 1} of ${files.length}...`);
+      if ((i + 1) % BATCH_SIZE === 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));  // Small pause between batches
+      }
+    }
+    return results;
+  }
+
+  // Scan every note of the scope, then show the dry-run summary of the links that would be added
+  async scanFilesForLinks(scope) {
+    const progressModal = new ProgressModal(this.app);
+    try {
+      progressModal.open();
+
+      // If the cache is not up to date, index the notes
+      if (!this.cacheUpToDate) {
+        progressModal.setProgress(0, 'Indexing all notes...');
+        await this.indexNotes(progressModal);
+      }
+
+      progressModal.setProgress(0, 'Collecting notes...');
+      const results = await this.collectLinks(await this.getFilesInScope(scope), progressModal);
+      progressModal.close();
+
+      if (results.length > 0) {
+        new BatchSummaryModal(this.app, results, this).open();
+      } else {
+        new Notice('No potential links found.');
+      }
+    } catch (error) {
+      progressModal.close();
+      console.error('Error running Note Linker on the vault:', error);
+      new Notice('An error occurred while scanning the notes.');
+    }
+  }
+
+  // Find the unlinked mentions of the active note's title and aliases in the other notes, to link them back to it
+  async runReverseLinker() {
+    const activeFile = this.app.workspace.getActiveFile();
+    if (!activeFile || activeFile.extension !== 'md') {
+      new Notice('No active note found.');
+      return;
+    }
+
+    const progressModal = new ProgressModal(this.app);
+    try {
+      progressModal.open();
+      progressModal.setProgress(0, 'Collecting notes...');
+
+      // Only the title, aliases and dictionary terms of the active note are looked for
+      const matcher = this.engine.createMatcher([
+        ...this.getNoteEntries(activeFile).filter(entry => !entry.heading),
+        ...this.dictionaryEntries.filter(entry => entry.path === activeFile.path)
+      ]);
+      const files = (await this.getFilesInScope({ type: 'vault' })).filter(file => file.path !== activeFile.path);
+      const results = await this.collectLinks(files, progressModal, matcher);
+      progressModal.close();
+
+      if (results.length > 0) {
+        new BatchReviewModal(this.app, results, this, `Mentions of ${activeFile.basename}`).open();
+      } else {
+        new Notice(`No unlinked mentions of ${activeFile.basename} found.`);
+      }
+    } catch (error) {
+      progressModal.close();
+      console.error('Error finding the mentions of the note:', error);
+      new Notice('An error occurred while scanning the notes.');
+    }
+  }
+
+  // Write the accepted links of a batch, file by file, reporting progress
+  async applyBatchLinks(results) {
+    const progressModal = new ProgressModal(this.app);
+    const batchLinks = [];  // Recorded in the history, including when the batch stops on an error
+    let linksAdded = 0;
+    let filesChanged = 0;
+
+    try {
+      progressModal.open();
+
+      for (let i = 0; i < results.length; i++) {
+        const { file, links } = results[i];
+        const { content, applied, inserted } = this.applyLinksToContent(await this.app.vault.read(file), links, file.path);
+        if (applied > 0) {
+          await this.app.vault.modify(file, content);
+          batchLinks.push(...inserted);
+          linksAdded += applied;
+          filesChanged++;
+        }
+
+        progressModal.setProgress(Math.round((i + 1) / results.length * 100), `Linking note ${i + 1} of ${results.length}...`);
+        if ((i + 1) % BATCH_SIZE === 0) {
+          await new Promise(resolve => setTimeout(resolve, 10));  // Small pause between batches
+        }
+      }
+
+      new Notice(`${linksAdded} links added to ${filesChanged} files.`);
+    } catch (error) {
+      console.error('Error applying links:', error);
+      new Notice(`An error occurred while linking the notes (${linksAdded} links added to ${filesChanged} files).`);
+    } finally {
+      progressModal.close();
+      this.recordLinkBatch('batch', batchLinks);
+    }
+  }
+
+  // Count the links added today, for the "links added over time" statistics
+  recordLinksAdded(count) {
+    if (count > 0) {
+      const day = new Date().toISOString().slice(0, 10);
+      this.linkStats.linksAdded[day] = (this.linkStats.linksAdded[day] || 0) + count;
+      this.savePluginData();
+    }
+  }
+
+  // Scan the vault and show the link statistics report
+  async runLinkReport() {
+    const progressModal = new ProgressModal(this.app);
+    try {
+      progressModal.open();
+
+      // If the cache is not up to date, index the notes
+      if (!this.cacheUpToDate) {
+        progressModal.setProgress(0, 'Indexing all notes...');
+        await this.indexNotes(progressModal);
+      }
+
+      const report = await this.buildLinkReport(progressModal);
+      progressModal.close();
+      new LinkReportModal(this.app, report, this).open();
+    } catch (error) {
+      progressModal.close();
+      console.error('Error building the link statistics:', error);
+      new Notice('An error occurred while building the link statistics.');
+    }
+  }
+
+  // Collect the connectivity of the notes from the resolved links, and their unlinked mentions from the detection engine
+  async buildLinkReport(progressModal) {
+    const files = this.getIndexableFiles();
+    const resolvedLinks = this.app.metadataCache.resolvedLinks;
+
+    // Notes linked from at least one other note
+    const linkedPaths = new Set();
+    Object.entries(resolvedLinks).forEach(([sourcePath, targets]) => {
+      Object.keys(targets).forEach(targetPath => targetPath !== sourcePath && linkedPaths.add(targetPath));
+    });
+
+    const mentionsByNote = [];
+    const mentionsByTarget = {};  // Target path -> { title, path, mentions, notes }
+    for (const { file, links } of await this.collectLinks(files, progressModal)) {
+      mentionsByNote.push({ path: file.path, count: links.length });
+      new Set(links.map(link => link.notePath)).forEach(path => {
+        const title = links.find(link => link.notePath === path).title;
+        const entry = mentionsByTarget[path] || (mentionsByTarget[path] = { title, path, mentions: 0, notes: 0 });
+        entry.mentions += links.filter(link => link.notePath === path).length;
+        entry.notes++;
+      });
+    }
+
+    // A note without any link to or from another note is an orphan
+    const orphans = files
+      .filter(file => !linkedPaths.has(file.path)
+        && !Object.keys(resolvedLinks[file.path] || {}).some(targetPath => targetPath !== file.path))
+      .map(file => file.path);
+
+    return {
+      date: new Date().toISOString().slice(0, 10),
+      noteCount: files.length,
+      orphans,
+      mentionsByNote: mentionsByNote.sort((a, b) => b.count - a.count).slice(0, REPORT_TOP_COUNT),
+      // Titles mentioned but never linked to from any note
+      unlinkedTitles: Object.values(mentionsByTarget)
+        .filter(entry => !linkedPaths.has(entry.path))
+        .sort((a, b) => b.mentions - a.mentions)
+        .slice(0, REPORT_TOP_COUNT),
+      linksAdded: Object.entries(this.linkStats.linksAdded)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, count]) => ({ day, count }))
+    };
+  }
+
+  // Save the report in the vault as a new markdown note or CSV file named after its date, and open it.
+  // An existing file is never replaced: a number is added to the name instead ("Link Statistics 2024-05-01 2.md").
+  async exportLinkReport(report, format) {
+    const extension = format === 'csv' ? 'csv' : 'md';
+    const baseName = `Link Statistics ${report.date}`;
+    let path = `${baseName}.${extension}`;
+    for (let i = 2; this.app.vault.getAbstractFileByPath(path); i++) {
+      path = `${baseName} ${i}.${extension}`;
+    }
+
+    const content = format === 'csv' ? linkReportToCsv(report) : linkReportToMarkdown(report);
+    const file = await this.app.vault.create(path, content);
+
+    if (format === 'csv') {
+      new Notice(`Link statistics exported to ${path}.`);
+    } else {
+      await this.app.workspace.getLeaf(false).openFile(file);
+    }
+  }
+}
+
+// Fold a character for case-insensitive matching, keeping at most one character so that the mapping with the original text holds.
+// With `ignoreAccents`, diacritics are stripped ("é" becomes "e") and lone combining marks fold to nothing.
+function foldChar(char, ignoreAccents) {
+  let folded = char.toLowerCase();
+  if (folded.length !== 1) {
+    folded = char;
+  }
+  if (ignoreAccents) {
+    const stripped = folded.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (stripped.length <= 1) {
+      folded = stripped;
+    }
+  }
+  return folded;
+}
+
+// Fold a text for matching and keep, for each folded character, its start and end index in the original text
+// (the end covers the combining marks folded into it).
+// A backslash escaping a parenthesis is dropped so that "\(" in the note matches "(" in a title.
+function foldText(text, options = {}) {
+  let folded = '';
+  const map = [];
+  const ends = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && (text[i + 1] === '(' || text[i + 1] === ')')) {
+      continue;
+    }
+    const char = foldChar(text[i], options.ignoreAccents);
+    if (char) {
+      folded += char;
+      map.push(i);
+      ends.push(i + 1);
+    } else if (ends.length > 0) {
+      ends[ends.length - 1] = i + 1;
+    }
+  }
+  return { text: folded, map, ends };
+}
+
+// Singular and plural forms of a folded word, with simple per-language rules
+const INFLECTION_RULES = {
+  en: (word) => {
+    if (/[^aeiou]ies$/.test(word)) return [`${word.slice(0, -3)}y`];
+    if (/(s|x|z|ch|sh)es$/.test(word)) return [word.slice(0, -2)];
+    if (/[^s]s$/.test(word)) return [word.slice(0, -1)];
+    if (/[^aeiou]y$/.test(word)) return [`${word.slice(0, -1)}ies`];
+    if (/(s|x|z|ch|sh)$/.test(word)) return [`${word}es`];
+    return [`${word}s`];
+  },
+  fr: (word) => {
+    if (/aux$/.test(word)) return [`${word.slice(0, -3)}al`];
+    if (/(eau|eu)x$/.test(word)) return [word.slice(0, -1)];
+    if (/[^s]s$/.test(word)) return [word.slice(0, -1)];
+    if (/al$/.test(word)) return [`${word.slice(0, -2)}aux`];
+    if (/(eau|eu)$/.test(word)) return [`${word}x`];
+    if (/[sxz]$/.test(word)) return [];
+    return [`${word}s`];
+  },
+  es: (word) => {
+    if (/ces$/.test(word)) return [`${word.slice(0, -3)}z`];
+    if (/[^aeiou]es$/.test(word)) return [word.slice(0, -2)];
+    if (/[aeiou]s$/.test(word)) return [word.slice(0, -1)];
+    if (/z$/.test(word)) return [`${word.slice(0, -1)}ces`];
+    if (/[aeiou]$/.test(word)) return [`${word}s`];
+    return [`${word}es`];
+  },
+  de: (word) => {
+    const stem = word.replace(/(en|er|e|n|s)$/, '');
+    return ['', 'e', 'en', 'n', 'er', 's'].map(suffix => `${stem}${suffix}`).filter(form => form !== word);
+  }
+};
+
+// Variants of a folded pattern where the last word is inflected (the last word carries the plural in most titles)
+function getInflectionVariants(pattern, language) {
+  const rule = INFLECTION_RULES[language];
+  const lastSpace = pattern.lastIndexOf(' ');
+  const lastWord = pattern.slice(lastSpace + 1);
+  if (!rule || lastWord.length < 3 || !/^\p{L}+$/u.test(lastWord)) {
+    return [];
+  }
+  return rule(lastWord)
+    .filter(form => form.length >= 3 && form !== lastWord)
+    .map(form => `${pattern.slice(0, lastSpace + 1)}${form}`);
+}
+
+// Levenshtein distance between two strings, or Infinity as soon as it exceeds `maxDistance`.
+// Only the cells at most `maxDistance` away from the diagonal can stay within it, so only they are computed.
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return Infinity;
+  }
+  const outside = maxDistance + 1;  // Any cell out of the band
+  let previous = new Int32Array(b.length + 2).map((_, j) => Math.min(j, outside));
+  let current = new Int32Array(b.length + 2);
+  for (let i = 1; i <= a.length; i++) {
+    const from = Math.max(1, i - maxDistance);
+    const to = Math.min(b.length, i + maxDistance);
+    current[from - 1] = from === 1 ? Math.min(i, outside) : outside;
+    current[to + 1] = outside;
+    let rowMin = current[from - 1];
+    for (let j = from; j <= to; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return Infinity;
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[b.length] <= maxDistance ? previous[b.length] : Infinity;
+}
+
+// Path of `targetPath` relative to the folder of the note at `sourcePath` (e.g., "../Other/Note.md")
+function getRelativePath(sourcePath, targetPath) {
+  const fromFolders = sourcePath.split('/').slice(0, -1);
+  const toParts = targetPath.split('/');
+  let common = 0;
+  while (common < fromFolders.length && common < toParts.length - 1 && fromFolders[common] === toParts[common]) {
+    common++;
+  }
+  return [...fromFolders.slice(common).map(() => '..'), ...toParts.slice(common)].join('/');
+}
+
+// Check whether a path is inside a folder ("Archive" contains "Archive/Note.md" but not "Archive2/Note.md")
+function isInFolder(path, folder) {
+  return path.startsWith(`${folder.replace(/^\/+|\/+$/g, '')}/`);
+}
+
+// Convert a glob to a regex over vault paths: ** matches any number of folders, * and ? stay within a name
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Kinds of filtering rules, with the help shown in the rule editor
+const FILTER_RULE_TYPES = {
+  glob: { name: 'Path (glob)', placeholder: 'Archive/** or **/*.draft.md' },
+  tag: { name: 'Tag', placeholder: '#draft (also matches #draft/...)' },
+  property: { name: 'Frontmatter property', placeholder: 'status=archived, or publish' },
+  size: { name: 'Size (KB)', placeholder: '>500 or <1' },
+  age: { name: 'Age (days since modified)', placeholder: '>365 or <7' }
+};
+
+// Compare a number with a ">N" or "<N" condition, an invalid condition never matches
+function compareWithCondition(number, condition) {
+  const match = /^\s*([<>])\s*(\d+(?:\.\d+)?)\s*$/.exec(condition);
+  return !!match && (match[1] === '>' ? number > Number(match[2]) : number < Number(match[2]));
+}
+
+// Check whether a note matches a filtering rule, from its path, metadata cache and stats
+function matchesFilterRule(rule, file, cache) {
+  const value = (rule.value || '').trim();
+  if (!value) {
+    return false;
+  }
+
+  switch (rule.type) {
+    case 'glob':
+      return globToRegExp(value).test(file.path);
+    case 'tag': {
+      const tag = `#${value.replace(/^#/, '')}`.toLowerCase();
+      return ((cache && getAllTags(cache)) || [])
+        .some(fileTag => fileTag.toLowerCase() === tag || fileTag.toLowerCase().startsWith(`${tag}/`));
+    }
+    case 'property': {
+      // "key" matches a set property, "key=value" a property with that value (or list containing it)
+      const separator = value.indexOf('=');
+      const key = (separator === -1 ? value : value.slice(0, separator)).trim();
+      const property = cache?.frontmatter?.[key];
+      if (separator === -1) {
+        return property !== undefined && property !== null && property !== false && property !== '';
+      }
+      const expected = value.slice(separator + 1).trim().toLowerCase();
+      return [].concat(property ?? []).some(item => String(item).toLowerCase() === expected);
+    }
+    case 'size':
+      return compareWithCondition(file.stat.size / 1024, value);
+    case 'age':
+      return compareWithCondition((Date.now() - file.stat.mtime) / 86400000, value);
+    default:
+      return false;
+  }
+}
+
+// Heading as written in a link: Obsidian turns the characters that can't appear in links into spaces
+function getHeadingSubpath(heading) {
+  return heading.replace(/[#|^:%[\]]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Encode a path for the URL part of a markdown link (spaces and parentheses would break it)
+function encodeLinkUrl(path) {
+  return encodeURI(path).replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+// Find the fenced code blocks (``` or ~~~), up to the closing fence or the end of the content
+function findCodeBlocks(content) {
+  const ranges = [];
+  const fenceRegex = /^ {0,3}(`{3,}|~{3,})/;
+  let fence = null;
+  let blockStart = 0;
+  let lineStart = 0;
+
+  for (const line of content.split('\n')) {
+    const lineEnd = lineStart + line.length;
+    const match = line.match(fenceRegex);
+    if (!fence && match) {
+      fence = match[1];
+      blockStart = lineStart;
+    } else if (fence && match && match[1][0] === fence[0] && match[1].length >= fence.length && !line.slice(match[0].length).trim()) {
+      ranges.push([blockStart, lineEnd]);
+      fence = null;
+    }
+    lineStart = lineEnd + 1;
+  }
+
+  if (fence) {
+    ranges.push([blockStart, content.length]);
+  }
+  return ranges;
+}
+
+// Markdown zones where no link should be suggested, each enabled by its own setting.
+// A zone is found either with a global regex or with a `find` function returning [start, end] ranges.
+const EXCLUSION_ZONES = [
+  { setting: 'excludeCodeBlocks', name: 'Code Blocks', desc: 'Skip fenced code blocks (``` or ~~~).', find: findCodeBlocks },
+  { setting: 'excludeInlineCode', name: 'Inline Code', desc: 'Skip `inline code`.', regex: /(`+)[^`\n][^\n]*?\1(?!`)/g },
+  { setting: 'excludeLinks', name: 'Existing Links', desc: 'Skip existing [[wikilinks]] and [markdown](links).', regex: /\[\[[^\]\n]*\]\]|\[[^\]\n]*\]\([^)\n]*\)/g },
+  { setting: 'excludeEmbeds', name: 'Embeds', desc: 'Skip embeds such as ![[Note]] and ![image](url).', regex: /!\[\[[^\]\n]*\]\]|!\[[^\]\n]*\]\([^)\n]*\)/g },
+  { setting: 'excludeUrls', name: 'URLs', desc: 'Skip web addresses and <autolinks>.', regex: /<[a-z][a-z0-9+.-]*:[^\s>]*>|\b[a-z][a-z0-9+.-]*:\/\/[^\s<>)\]]+|\bwww\.[^\s<>)\]]+/gi },
+  { setting: 'excludeHeadings', name: 'Headings', desc: 'Skip heading lines (# Heading).', regex: /^ {0,3}#{1,6}(?:[ \t][^\n]*)?$/gm },
+  { setting: 'excludeComments', name: 'Comments', desc: 'Skip HTML comments (<!-- -->) and Obsidian comments (%% %%).', regex: /<!--[\s\S]*?(?:-->|$(?![\s\S]))|%%[\s\S]*?(?:%%|$(?![\s\S]))/g },
+  { setting: 'excludeMath', name: 'Math', desc: 'Skip math blocks ($$ $$) and inline math ($ $).', regex: /\$\$[\s\S]*?(?:\$\$|$(?![\s\S]))|(?<![\\$])\$(?![\s$])[^$\n]*?[^\s\\$]\$(?!\d)|(?<![\\$])\$[^\s$]\$(?!\d)/g },
+  { setting: 'excludeTags', name: 'Tags', desc: 'Skip #tags.', regex: /(?<![^\s(\[])#[\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*/gu }
+];
+
+// Tokenizer pass marking the zones enabled in the settings.
+// Returns sorted, merged [start, end] ranges of the content.
+function findExclusionZones(content, settings) {
+  const ranges = [];
+
+  EXCLUSION_ZONES.filter(zone => settings[zone.setting]).forEach(zone => {
+    if (zone.find) {
+      ranges.push(...zone.find(content));
+    } else {
+      for (const match of content.matchAll(zone.regex)) {
+        if (match[0].length > 0) {
+          ranges.push([match.index, match.index + match[0].length]);
+        }
+      }
+    }
+  });
+
+  // Merge the overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+  }
+  return merged;
+}
+
+// Minimum length of the pieces of a title searched for typo-tolerant matching
+const FUZZY_PIECE_LENGTH = 4;
+
+// Multi-pattern matcher (Aho-Corasick automaton) over every title and alias of the cache.
+// It is built once and finds all the entries in a single pass over the content.
+// Options: ignoreAccents, inflectionLanguage (key of INFLECTION_RULES), fuzzyMaxDistance, fuzzyMinLength,
+// wholeWords, minTitleLength, stopWords and excludedTitlePattern (a RegExp).
+class TitleMatcher {
+  constructor(entries, options = {}) {
+    this.options = options;
+    const stopWords = new Set((options.stopWords || []).map(word => foldText(word.trim(), options).text));
+
+    // Each node holds its transitions, its failure link, the entries ending here and a link to the next node with entries.
+    // Node entries are { note, matchType } where matchType is set for the inflected variants.
+    this.nodes = [{ next: new Map(), fail: 0, output: 0, depth: 0, entries: [] }];
+
+    // Titles long enough for typo tolerance: { id, pattern, wordCount, maxDistance, note }
+    this.fuzzyEntries = [];
+
+    // Dictionary terms written as regular expressions, run on the original text: { regex, note }
+    this.regexEntries = [];
+
+    entries.forEach(note => {
+      if (note.regex) {
+        try {
+          this.regexEntries.push({ regex: new RegExp(note.alias, note.caseSensitive ? 'gu' : 'giu'), note });
+        } catch (error) {
+          console.warn(`Note Linker: invalid dictionary pattern "${note.alias}"`, error);
+        }
+        return;
+      }
+
+      const text = note.heading || note.alias || note.title;
+      const pattern = foldText(text, options).text.replace(/\s+/g, ' ').trim();
+
+      // Titles that would only bring noise are left out of the automaton, unless the user added them to the dictionary
+      if (!pattern || (!note.dictionary && (pattern.length < (options.minTitleLength || 1) || stopWords.has(pattern)
+        || (options.excludedTitlePattern && options.excludedTitlePattern.test(text))))) {
+        return;
+      }
+
+      this.addEntry(pattern, { note });
+      if (options.inflectionLanguage && !note.caseSensitive) {
+        getInflectionVariants(pattern, options.inflectionLanguage)
+          .forEach(variant => this.addEntry(variant, { note, matchType: 'inflection' }));
+      }
+
+      if (options.fuzzyMaxDistance > 0 && !note.dictionary && pattern.length >= (options.fuzzyMinLength || 0)) {
+        // Each tolerated typo needs one more piece of the title (see below), and pieces that are too short would
+        // be found almost everywhere: shorter titles tolerate fewer typos
+        const maxDistance = Math.min(options.fuzzyMaxDistance, Math.floor(pattern.length / FUZZY_PIECE_LENGTH) - 1);
+        if (maxDistance > 0) {
+          this.fuzzyEntries.push({ id: this.fuzzyEntries.length, pattern, wordCount: pattern.split(' ').length, maxDistance, note });
+        }
+      }
+    });
+
+    this.buildFailureLinks();
+
+    // Second automaton over pieces of the fuzzy titles: a title cut in (distance + 1) pieces keeps at least one
+    // of them intact in any text within that distance, so only the words around an intact piece are compared.
+    // Node entries are { fuzzy, offset } where offset is the start of the piece in the title.
+    if (this.fuzzyEntries.length > 0) {
+      this.fuzzyPieces = new TitleMatcher([]);
+      this.fuzzyEntries.forEach(fuzzy => {
+        const pieceCount = fuzzy.maxDistance + 1;
+        for (let i = 0; i < pieceCount; i++) {
+          const start = Math.floor(i * fuzzy.pattern.length / pieceCount);
+          const end = Math.floor((i + 1) * fuzzy.pattern.length / pieceCount);
+          this.fuzzyPieces.nodes[this.fuzzyPieces.insert(fuzzy.pattern.slice(start, end))].entries.push({ fuzzy, offset: start });
+        }
+      });
+      this.fuzzyPieces.buildFailureLinks();
+    }
+  }
+
+  // Add an entry for a pattern, once per note
+  addEntry(pattern, entry) {
+    const node = this.nodes[this.insert(pattern)];
+    if (!node.entries.some(existing => existing.note === entry.note)) {
+      node.entries.push(entry);
+    }
+  }
+
+  // Add a pattern to the trie and return its final node
+  insert(pattern) {
+    let node = 0;
+    for (const char of pattern) {
+      let next = this.nodes[node].next.get(char);
+      if (next === undefined) {
+        next = this.nodes.length;
+        this.nodes.push({ next: new Map(), fail: 0, output: 0, depth: this.nodes[node].depth + 1, entries: [] });
+        this.nodes[node].next.set(char, next);
+      }
+      node = next;
+    }
+    return node;
+  }
+
+  // Breadth-first computation of the failure and output links
+  buildFailureLinks() {
+    const queue = [...this.nodes[0].next.values()];
+    for (let i = 0; i < queue.length; i++) {
+      const node = this.nodes[queue[i]];
+      for (const [char, child] of node.next) {
+        let fail = node.fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+          fail = this.nodes[fail].fail;
+        }
+        const target = this.nodes[fail].next.get(char);
+        this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+        const failNode = this.nodes[this.nodes[child].fail];
+        this.nodes[child].output = failNode.entries.length > 0 ? this.nodes[child].fail : failNode.output;
+        queue.push(child);
+      }
+    }
+  }
+
+  // Find all the matches in the content, keeping the leftmost-longest ones when they overlap.
+  // Typo-tolerant matches only fill the gaps left by the exact ones.
+  // `keep(range, entries)` returns what is kept of the entries of a match; it runs before the overlaps are
+  // resolved, so a match left without entries doesn't hide the shorter matches inside it.
+  // Returns [{ range: [start, end], entries }] with offsets in the original content.
+  search(content, keep = (range, entries) => entries) {
+    const { text, map, ends } = foldText(content, this.options);
+    const toOriginal = (match) => ({ start: map[match.start], end: ends[match.end - 1], entries: match.entries });
+    const withKeptEntries = (match) => ({ ...match, entries: keep([match.start, match.end], match.entries) });
+
+    // Case-sensitive dictionary terms only match their exact text
+    const exactMatches = this.findExact(text).map(toOriginal).map(match => {
+      const original = content.slice(match.start, match.end);
+      return { ...match, entries: match.entries.filter(({ note }) => !note.caseSensitive || original === note.alias) };
+    });
+    const matches = selectNonOverlapping([...exactMatches, ...this.findRegex(content)]
+      .map(withKeptEntries).filter(match => match.entries.length > 0));
+
+    if (this.fuzzyPieces) {
+      const fuzzyMatches = selectNonOverlapping(this.findFuzzy(text).map(toOriginal)
+        .map(withKeptEntries).filter(match => match.entries.length > 0))
+        .filter(fuzzy => !matches.some(match => fuzzy.start < match.end && match.start < fuzzy.end));
+      matches.push(...fuzzyMatches);
+      matches.sort((a, b) => a.start - b.start);
+    }
+
+    return matches.map(match => ({ range: [match.start, match.end], entries: match.entries }));
+  }
+
+  // Matches of the dictionary patterns, with offsets in the original content
+  findRegex(content) {
+    const found = [];
+    for (const { regex, note } of this.regexEntries) {
+      for (const match of content.matchAll(regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (end > start && (!this.options.wholeWords || isWholeWord(content, start, end))) {
+          found.push({ start, end, entries: [{ note, matchType: 'pattern' }] });
+        }
+      }
+    }
+    return found;
+  }
+
+  // Every pattern occurrence in the folded text
+  findExact(text) {
+    const found = [];
+    let node = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      while (node !== 0 && !this.nodes[node].next.has(char)) {
+        node = this.nodes[node].fail;
+      }
+      node = this.nodes[node].next.get(char) || 0;
+
+      // Collect every pattern ending at this position
+      for (let out = this.nodes[node].entries.length > 0 ? node : this.nodes[node].output; out !== 0; out = this.nodes[out].output) {
+        const start = i + 1 - this.nodes[out].depth;
+        if (!this.options.wholeWords || isWholeWord(text, start, i + 1)) {
+          found.push({ start, end: i + 1, entries: this.nodes[out].entries });
+        }
+      }
+    }
+    return found;
+  }
+
+  // Windows of words close to a long title, within the configured edit distance, found around the intact pieces
+  // of the title (so a typo can be anywhere in it, including the first letter)
+  findFuzzy(text) {
+    // The titles have single spaces: compare them with a copy of the text where every run of whitespace is one space,
+    // keeping the position of each character in the text
+    let spaced = '';
+    const positions = [];
+    for (let i = 0; i < text.length; i++) {
+      const isSpace = /\s/.test(text[i]);
+      if (!isSpace || !/\s/.test(spaced[spaced.length - 1] || '')) {
+        spaced += isSpace ? ' ' : text[i];
+        positions.push(i);
+      }
+    }
+
+    const words = [...spaced.matchAll(/[\p{L}\p{N}]+/gu)].map(match => [match.index, match.index + match[0].length]);
+    const wordAt = new Int32Array(spaced.length + 1).fill(-1);  // Index of the word starting at each position
+    words.forEach(([start], i) => {
+      wordAt[start] = i;
+    });
+    const windows = new Map();  // "first word|word count" -> closest titles of the window
+    const compared = new Set();  // Pairs of first word and title already compared
+
+    for (const piece of this.fuzzyPieces.findExact(spaced)) {
+      for (const { fuzzy, offset } of piece.entries) {
+        // Earlier typos shift the piece by up to the distance; the window has as many words as the title
+        const { maxDistance } = fuzzy;
+        const from = Math.max(0, piece.start - offset - maxDistance);
+        for (let start = from; start <= piece.start - offset + maxDistance && start < spaced.length; start++) {
+          const first = wordAt[start];
+          const last = first + fuzzy.wordCount - 1;
+          if (first === -1 || last >= words.length
+            || Math.abs(words[last][1] - words[first][0] - fuzzy.pattern.length) > maxDistance) {
+            continue;
+          }
+          const pair = first * this.fuzzyEntries.length + fuzzy.id;
+          if (compared.has(pair)) {
+            continue;
+          }
+          compared.add(pair);
+
+          const distance = editDistance(spaced.slice(words[first][0], words[last][1]), fuzzy.pattern, maxDistance);
+          // Distance 0 is an exact match, already found by the automaton
+          if (distance === 0 || distance === Infinity) {
+            continue;
+          }
+          const key = `${first}|${fuzzy.wordCount}`;
+          const window = windows.get(key);
+          const entry = { note: fuzzy.note, matchType: 'fuzzy' };
+          if (!window || distance < window.distance) {
+            windows.set(key, { start: positions[words[first][0]], end: positions[words[last][1] - 1] + 1, distance, entries: [entry] });
+          } else if (distance === window.distance) {
+            window.entries.push(entry);
+          }
+        }
+      }
+    }
+    return [...windows.values()].map(({ start, end, entries }) => ({ start, end, entries }));
+  }
+}
+
+// Letters, digits and marks form words; scripts written without spaces between words have no word boundaries
+const WORD_CHAR_REGEX = /[\p{L}\p{N}\p{M}_]/u;
+const NO_SPACE_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Check that a match doesn't start or end in the middle of a word. A side needs a boundary only when
+// the match and its neighbour are both word characters from scripts that separate words with spaces.
+function isWholeWord(text, start, end) {
+  const needsBoundary = (inside, outside) => outside !== undefined
+    && WORD_CHAR_REGEX.test(inside) && WORD_CHAR_REGEX.test(outside)
+    && !NO_SPACE_SCRIPT_REGEX.test(inside) && !NO_SPACE_SCRIPT_REGEX.test(outside);
+  return !needsBoundary(text[start], text[start - 1]) && !needsBoundary(text[end - 1], text[end]);
+}
+
+// Prefer the earliest match, then the longest one, and drop the matches overlapping a kept one
+function selectNonOverlapping(found) {
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const selected = [];
+  let lastEnd = 0;
+  for (const match of found) {
+    if (match.start >= lastEnd) {
+      selected.push(match);
+      lastEnd = match.end;
+    }
+  }
+  return selected;
+}
+
+// Length of the frontmatter at the start of the content (0 if there is none)
+function getFrontmatterLength(content) {
+  const match = content.match(/^---[\s\S]+?---\n/);  // Frontmatter between ---
+  return match ? match[0].length : 0;
+}
+
+// Point a link to one of its candidate targets (title, alias, heading, notePath and matchType follow the target)
+function setLinkTarget(link, target) {
+  link.title = target.title;
+  link.alias = target.alias;
+  link.heading = target.heading;
+  link.headingPath = target.headingPath;
+  link.notePath = target.path;
+  link.matchType = target.matchType;
+}
+
+// Wikilinks and markdown links of a note, outside of its frontmatter, code and comments, leaving out embeds and URLs:
+// { from, to, text, linkpath, subpath, displayText } where displayText is what the link shows once stripped
+function findExistingLinks(content) {
+  const frontmatterLength = getFrontmatterLength(content);
+  const skippedZones = findExclusionZones(content, { excludeCodeBlocks: true, excludeInlineCode: true, excludeComments: true });
+  const links = [];
+
+  for (const match of content.matchAll(/(!?)\[\[([^\]\n|]*)(?:\|([^\]\n]*))?\]\]|(!?)\[((?:\\.|[^\]\n\\])*)\]\(([^)\n]*)\)/g)) {
+    const from = match.index;
+    if (match[1] || match[4] || from < frontmatterLength || skippedZones.some(([start, end]) => from >= start && from < end)) {
+      continue;
+    }
+
+    const isWikilink = match[0].startsWith('[[');
+    let target = isWikilink ? match[2] : match[6].trim().replace(/^<(.*)>$/, '$1');  // [text](<path with spaces.md>)
+    if (!isWikilink && /^[a-z][a-z0-9+.-]*:/i.test(target)) {
+      continue;  // Web addresses and other URLs
+    }
+    const hash = target.indexOf('#');
+    let linkpath = hash === -1 ? target : target.slice(0, hash);
+    let subpath = hash === -1 ? '' : target.slice(hash + 1);
+    if (!isWikilink) {
+      try {
+        linkpath = decodeURIComponent(linkpath).replace(/\.md$/i, '');
+        subpath = decodeURIComponent(subpath);
+      } catch (error) {
+        continue;  // Not a link to a note
+      }
+    }
+
+    const displayText = isWikilink
+      ? match[3] ?? (subpath ? subpath.split('#').pop() : linkpath.split('/').pop())
+      : match[5].replace(/\\([[\]])/g, '$1');
+    links.push({ from, to: from + match[0].length, text: match[0], linkpath: linkpath.trim(), subpath, displayText });
+  }
+  return links;
+}
+
+// Find the scope (note, section or paragraph) of positions in a note, as the index of the scope
+function getScopeFinder(content, scope) {
+  const starts = [0];
+  const boundary = { section: /^ {0,3}#{1,6}[ \t]/gm, paragraph: /\n[ \t]*\n/g }[scope];
+  if (boundary) {
+    for (const match of content.matchAll(boundary)) {
+      starts.push(scope === 'paragraph' ? match.index + match[0].length : match.index);
+    }
+  }
+
+  return (position) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  };
+}
+
+// Start of the list item line containing a position, or -1 if the line is not a list item
+function getListItemStart(content, position) {
+  const lineStart = content.lastIndexOf('\n', position - 1) + 1;
+  return /^[ \t]*(?:[-*+]|\d+[.)])[ \t]/.test(content.slice(lineStart, lineStart + 20)) ? lineStart : -1;
+}
+
+// Linking engine without any Obsidian dependency: it indexes a list of notes, detects the candidate links
+// in a text and applies the chosen ones. The plugin feeds it from the vault and adds the ignore rules and
+// link resolution of Obsidian; other plugins and scripts use it through `plugin.api` (see the README).
+class LinkEngine {
+  // `settings` holds the matching, excluded zone and link format options, as in the plugin settings.
+  // The object is kept, not copied: the plugin passes its own settings so that their changes apply.
+  constructor(settings = DEFAULT_SETTINGS) {
+    this.settings = settings;
+    this.entries = [];
+    this.matcher = null;
+  }
+
+  // Entries of a note { path, aliases, headings: [{ heading, level }], tags }: one for its title,
+  // plus one per alias and heading when the settings enable them
+  static getNoteEntries(note, settings = {}) {
+    const title = note.path.split('/').pop().replace(/\.md$/i, '');
+    // Lowercased tags of the note, kept on each of its entries for the scores
+    const tags = [...new Set((note.tags || []).map(tag => tag.toLowerCase()))];
+    const entries = [{ title, path: note.path, tags }];
+
+    if (settings.matchAliases !== false) {
+      (note.aliases || [])
+        .map(alias => String(alias).trim())
+        .filter(alias => alias && alias.toLowerCase() !== title.toLowerCase())
+        .forEach(alias => entries.push({ title, path: note.path, alias, tags }));
+    }
+
+    if (settings.indexHeadings) {
+      // Track the parent headings to show the heading path ("Methods > Gradient Descent")
+      const parents = [];
+      (note.headings || []).forEach(({ heading, level = 1 }) => {
+        parents.length = level - 1;
+        parents[level - 1] = heading;
+        const text = heading.trim();
+        if (text && text.toLowerCase() !== title.toLowerCase()) {
+          entries.push({ title, path: note.path, heading: text, headingPath: parents.filter(Boolean).join(' > '), tags });
+        }
+      });
+    }
+
+    return entries;
+  }
+
+  // Entry of a dictionary term { term, caseSensitive, regex } linking to the note at `path`
+  static getDictionaryEntry(term, path, tags = []) {
+    const title = path.split('/').pop().replace(/\.md$/i, '');
+    return { title, path, alias: term.term.trim(), tags: [...new Set(tags.map(tag => tag.toLowerCase()))], caseSensitive: !!term.caseSensitive, regex: !!term.regex, dictionary: true };
+  }
+
+  // Index a list of notes (see getNoteEntries) and dictionary terms { term, target, caseSensitive, regex }
+  // where target is the path of a note, replacing the previous index
+  index(notes, dictionary = []) {
+    this.entries = [
+      ...notes.flatMap(note => LinkEngine.getNoteEntries(note, this.settings)),
+      ...dictionary.filter(term => term.term.trim()).map(term => LinkEngine.getDictionaryEntry(term, term.target))
+    ];
+    this.matcher = null;
+    return this;
+  }
+
+  getMatcher() {
+    if (!this.matcher) {
+      this.matcher = this.createMatcher(this.entries);
+    }
+    return this.matcher;
+  }
+
+  // Build a matcher over some entries with the matching settings
+  createMatcher(entries) {
+    return new TitleMatcher(entries, {
+      ignoreAccents: this.settings.ignoreAccents,
+      inflectionLanguage: this.settings.inflectionLanguage,
+      fuzzyMaxDistance: this.settings.fuzzyMaxDistance,
+      fuzzyMinLength: this.settings.fuzzyMinLength,
+      wholeWords: this.settings.wholeWords,
+      minTitleLength: this.settings.minTitleLength,
+      stopWords: this.settings.stopWords,
+      excludedTitlePattern: this.getExcludedTitleRegex()
+    });
+  }
+
+  // Regex of the titles never suggested, or null if the pattern is empty or invalid
+  getExcludedTitleRegex() {
+    if (!this.settings.excludedTitlePattern) {
+      return null;
+    }
+    try {
+      return new RegExp(this.settings.excludedTitlePattern, 'iu');
+    } catch (error) {
+      console.warn('Note Linker: invalid excluded title pattern', error);
+      return null;
+    }
+  }
+
+  // An automaton match is exact unless it only matched once the accents were ignored
+  getExactMatchType(originalText, pattern) {
+    if (originalText.toLowerCase() === pattern.toLowerCase()) {
+      return 'exact';
+    }
+    return foldText(originalText).text === foldText(pattern).text ? 'exact' : 'accent';
+  }
+
+  // Detect the candidate links of a text, sorted by position. Options:
+  // - offset: position of `content` in the note, added to every matchIndex
+  // - sourcePath: path of the scanned note, never linked to itself
+  // - matcher: matcher to use instead of the one over the indexed notes
+  // - isIgnored(link): leaves out a candidate target ({ title, alias, heading, context })
+  // - pickTarget(targets): default target of an ambiguous link, the first one otherwise
+  detect(content, { offset = 0, sourcePath = null, matcher = this.getMatcher(), isIgnored = () => false, pickTarget = (targets) => targets[0] } = {}) {
+    const detectedLinks = [];
+    const zones = findExclusionZones(content, this.settings);
+    const getSurroundingText = (start, end) => content.slice(Math.max(0, start - 20), end + 20);
+
+    // Check whether a range overlaps an excluded zone (the zones are sorted and don't overlap)
+    const isInZone = (start, end) => {
+      let low = 0;
+      let high = zones.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (zones[middle][1] <= start) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      return low < zones.length && zones[low][0] < end;
+    };
+
+    // Candidate target notes of a match: a title or an alias can be shared by several notes.
+    // Ignored targets, self-links and excluded text are left out before the overlapping matches are resolved,
+    // so that a rejected long match doesn't hide the shorter titles inside it.
+    const getTargets = ([start, end], entries) => {
+      // Skip text that is already inside a wikilink, and matches overlapping an excluded zone
+      if (content.slice(Math.max(0, start - 2), start) === '[[' || /^\|?\]\]/.test(content.slice(end, end + 3))
+        || isInZone(start, end)) {
+        return [];
+      }
+
+      const originalText = content.slice(start, end);  // The text detected as is in the document
+      const surroundingText = getSurroundingText(start, end);
+      const targets = [];
+      for (const { note, matchType } of entries) {
+        // A note never links to itself, and each note is a candidate once
+        if (note.path === sourcePath
+          || targets.some(target => target.path === note.path && target.heading === note.heading)) {
+          continue;
+        }
+
+        const target = {
+          title: note.title, // Use the original note title (with correct case)
+          alias: note.alias, // Set when the match comes from a frontmatter alias
+          heading: note.heading, // Set when the match comes from a heading of the note
+          headingPath: note.headingPath,
+          path: note.path,
+          // 'exact', 'accent' (same text but for diacritics), 'inflection', 'fuzzy' or 'pattern' (dictionary regex)
+          matchType: matchType || this.getExactMatchType(originalText, note.heading || note.alias || note.title)
+        };
+        if (!isIgnored({ title: target.title, alias: target.alias, heading: target.heading, context: surroundingText })) {
+          targets.push(target);
+        }
+      }
+      return targets;
+    };
+
+    // A single pass over the content finds every title and alias, keeping the longest match when they overlap
+    for (const { range: [start, end], entries: targets } of matcher.search(content, getTargets)) {
+      const contextLength = this.settings.contextLength || 40;
+      const link = {
+        context: getSurroundingText(start, end),  // Also identifies the occurrence in the ignore rules
+        // Text around the match, as displayed in the selection window
+        contextBefore: content.slice(Math.max(0, start - contextLength), start),
+        contextAfter: content.slice(end, end + contextLength),
+        originalMatch: content.slice(start, end), // Keep the version of the text in the note for replacement
+        matchIndex: [start + offset, end + offset],
+        targets  // Several targets make the link ambiguous, LinkSelectionModal then shows a target picker
+      };
+      setLinkTarget(link, pickTarget(targets));
+      detectedLinks.push(link);
+    }
+
+    // Sort detected links by their position in the content (matchIndex[0])
+    return detectedLinks.sort((a, b) => a.matchIndex[0] - b.matchIndex[0]);
+  }
+
+  // Detect the candidate links of a whole note, leaving out its frontmatter if the settings say so
+  detectInNote(content, options = {}) {
+    const offset = this.settings.excludeFrontmatter ? getFrontmatterLength(content) : 0;
+    return this.detect(content.slice(offset), { ...options, offset });
+  }
+
+  // Build the link text that replaces a detected match, in the configured link format. Options:
+  // - sourcePath: path of the note receiving the link, for the relative paths of markdown links
+  // - linkPath(link): how the target note is written in wikilinks, its title by default
+  buildLinkText(link, { sourcePath = '', linkPath = (target) => target.title } = {}) {
+    const title = link.title;  // The note title (with correct case)
+    const originalText = link.originalMatch;  // The original text in the note
+
+    if (this.settings.linkFormat === 'markdown') {
+      // Standard markdown link keeping the text of the note, to the URL-encoded path relative to the note
+      const url = encodeLinkUrl(getRelativePath(sourcePath, link.notePath));
+      const fragment = link.heading ? `#${encodeLinkUrl(getHeadingSubpath(link.heading))}` : '';
+      return `[${originalText.replace(/[[\]]/g, '\\$&')}](${url}${fragment})`;
+    }
+
+    const notePath = linkPath(link);
+    const fullPath = link.heading ? `${notePath}#${getHeadingSubpath(link.heading)}` : notePath;
+
+    if (this.settings.linkFormat === 'template') {
+      // Unknown placeholders are left as they are
+      const values = { title, text: originalText, path: fullPath, heading: link.heading || '' };
+      return this.settings.linkTemplate.replace(/{{(\w+)}}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+    }
+
+    let displayText = null;
+    if (link.alias || link.heading || (link.matchType && link.matchType !== 'exact')) {
+      // Alias, heading and approximate matches always link to the canonical note and display the matched text
+      displayText = originalText;
+    } else if (this.settings.enableWikiLinks && originalText !== title && this.settings.respectCase) {
+      // If the case differs, we use an alias to keep the original case
+      displayText = originalText;
+    } else if (fullPath !== title) {
+      displayText = title;  // A path is displayed as the note title
+    }
+
+    return displayText && displayText !== fullPath ? `[[${fullPath}|${displayText}]]` : `[[${fullPath}]]`;
+  }
+
+  // Keep one link per range, drop the ones overlapping another and order them back-to-front
+  prepareChanges(links, options = {}) {
+    const sorted = [...links].sort((a, b) => a.matchIndex[0] - b.matchIndex[0]);
+    const changes = [];
+    let lastEnd = -1;
+    for (const link of sorted) {
+      if (link.matchIndex[0] >= lastEnd) {
+        changes.push({ link, from: link.matchIndex[0], to: link.matchIndex[1], text: this.buildLinkText(link, options) });
+        lastEnd = link.matchIndex[1];
+      }
+    }
+    return changes.reverse();
+  }
+
+  // Apply links to a text back-to-front, skipping the ranges whose text changed since the detection.
+  // Returns the new content and the applied changes { link, from, to, text }, back-to-front.
+  apply(content, links, options = {}) {
+    const changes = [];
+    for (const change of this.prepareChanges(links, options)) {
+      if (content.slice(change.from, change.to) === change.link.originalMatch) {
+        content = content.slice(0, change.from) + change.text + content.slice(change.to);
+        changes.push(change);
+      }
+    }
+    return { content, changes };
+  }
+
+  // Existing links of a note (see findExistingLinks) with the path of the note they point to, or null.
+  // Options: sourcePath, and resolveLinkpath(linkpath) to find the path of a note, among the indexed notes by default
+  findLinks(content, { sourcePath = null, resolveLinkpath = (linkpath) => this.resolveLinkpath(linkpath) } = {}) {
+    return findExistingLinks(content).map(link => ({
+      ...link,
+      // [[#Heading]] points to the note itself
+      path: link.linkpath ? resolveLinkpath(link.linkpath) : sourcePath
+    }));
+  }
+
+  resolveLinkpath(linkpath) {
+    const entry = this.entries.find(entry => entry.path.replace(/\.md$/i, '') === linkpath || entry.title === linkpath);
+    return entry ? entry.path : null;
+  }
+
+  // Apply the density settings to the candidate links of a whole note: at most `linkLimit` links to the same
+  // note per note, section or paragraph (its existing links included), and none in list items that already have one
+  limitDensity(content, links, options = {}) {
+    const limit = this.settings.linkLimit;
+    if (!(limit > 0) && !this.settings.skipLinkedListItems) {
+      return links;
+    }
+
+    const existingLinks = this.findLinks(content, options);
+    const scopeOf = getScopeFinder(content, this.settings.linkLimitScope);
+    const counts = new Map();  // Scope|path -> number of links
+    const count = (position, path) => {
+      const key = `${scopeOf(position)}|${path}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return counts.get(key);
+    };
+    existingLinks.filter(link => link.path).forEach(link => count(link.from, link.path));
+    const linkedListItems = new Set(this.settings.skipLinkedListItems
+      ? existingLinks.map(link => getListItemStart(content, link.from)).filter(start => start !== -1)
+      : []);
+
+    return [...links]
+      .sort((a, b) => a.matchIndex[0] - b.matchIndex[0])
+      .filter(link => !linkedListItems.has(getListItemStart(content, link.matchIndex[0]))
+        && (!(limit > 0) || count(link.matchIndex[0], link.notePath) <= limit));
+  }
+
+  // Links of a note that the density settings would not have added, to strip back to plain text: links to
+  // the note itself (not to its headings) and repeated links to a note beyond `linkLimit` per scope (one without
+  // a limit). Returns { from, to, text, originalText, targetPath, reason } where reason is 'self' or 'repeated'.
+  findRedundantLinks(content, options = {}) {
+    const limit = this.settings.linkLimit > 0 ? this.settings.linkLimit : 1;
+    const scopeOf = getScopeFinder(content, this.settings.linkLimitScope);
+    const counts = new Map();
+    const redundant = [];
+
+    for (const link of this.findLinks(content, options)) {
+      let reason = null;
+      if (link.path && link.path === options.sourcePath) {
+        reason = link.subpath ? null : 'self';
+      } else if (link.path) {
+        const key = `${scopeOf(link.from)}|${link.path}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+        reason = counts.get(key) > limit ? 'repeated' : null;
+      }
+      if (reason) {
+        redundant.push({ from: link.from, to: link.to, text: link.text, originalText: link.displayText, targetPath: link.path, reason });
+      }
+    }
+    return redundant;
+  }
+}
+
+// Write the link statistics report as a markdown note
+function linkReportToMarkdown(report) {
+  const lines = [`# Link Statistics`, '', `Generated on ${report.date} from ${report.noteCount} notes.`, ''];
+  const addSection = (title, rows, empty) => {
+    lines.push(`## ${title}`, '');
+    lines.push(...(rows.length > 0 ? rows : [empty]), '');
+  };
+
+  addSection(`Orphan Notes (${report.orphans.length})`,
+    report.orphans.map(path => `- [[${path.replace(/\.md$/, '')}]]`), 'No orphan notes.');
+  addSection('Notes with the Most Unlinked Mentions',
+    report.mentionsByNote.map(({ path, count }) => `- [[${path.replace(/\.md$/, '')}]]: ${count}`), 'No unlinked mentions.');
+  addSection('Titles Mentioned but Never Linked',
+    report.unlinkedTitles.map(({ path, mentions, notes }) => `- [[${path.replace(/\.md$/, '')}]]: ${mentions} mentions in ${notes} notes`), 'None.');
+  addSection('Links Added by the Plugin',
+    report.linksAdded.length > 0
+      ? ['| Day | Links |', '| --- | ---: |', ...report.linksAdded.map(({ day, count }) => `| ${day} | ${count} |`)]
+      : [], 'No links added yet.');
+
+  return lines.join('\n');
+}
+
+// Write the link statistics report as CSV, one row per entry of each section
+function linkReportToCsv(report) {
+  const quote = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  const rows = [['section', 'note', 'count', 'notes']];
+  report.orphans.forEach(path => rows.push(['orphan', path, '', '']));
+  report.mentionsByNote.forEach(({ path, count }) => rows.push(['unlinked mentions in note', path, count, '']));
+  report.unlinkedTitles.forEach(({ path, mentions, notes }) => rows.push(['mentioned but never linked', path, mentions, notes]));
+  report.linksAdded.forEach(({ day, count }) => rows.push(['links added', day, count, '']));
+  return rows.map(row => row.map(quote).join(',')).join('\n');
+}
+
+// Read the terms of a dictionary file: CSV rows or the rows of a markdown table, as `term, target, flags`
+// where the optional flags are "case" and/or "regex". A header row starting with "term" is skipped.
+function parseDictionary(content, isCsv) {
+  const splitCsv = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      if (quoted && line[i] === '"') {
+        if (line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (line[i] === '"' && cell.trim() === '') {
+        quoted = true;
+        cell = '';
+      } else if (line[i] === ',' && !quoted) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += line[i];
+      }
+    }
+    return [...cells, cell];
+  };
+  // Table cells are separated by unescaped pipes, so `\|` keeps a pipe inside a term or a [[target\|alias]]
+  const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/).map(cell => cell.replace(/\\\|/g, '|'));
+
+  return content.split('\n')
+    .filter(line => (isCsv ? line.trim() : /^\s*\|/.test(line) && !/^[\s|:-]+$/.test(line)))
+    .map(line => (isCsv ? splitCsv(line) : splitTableRow(line)).map(cell => cell.trim()))
+    .filter(([term, target]) => term && target && term.toLowerCase() !== 'term')
+    .map(([term, target, flags = '']) => ({
+      term,
+      target,
+      caseSensitive: /\bcase\b/i.test(flags),
+      regex: /\bregex\b/i.test(flags)
+    }));
+}
+
+// Instance of the core Search plugin, or null when it is disabled
+function getCoreSearch(app) {
+  const search = app.internalPlugins && app.internalPlugins.getPluginById('global-search');
+  return search && search.enabled ? search.instance : null;
+}
+
+// Modal window to display progress
+class ProgressModal extends Modal {
+  constructor(app) {
+    super(app);
+    this.progressBar = null;
+    this.statusText = null;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+
+    contentEl.createEl('h2', { text: 'Processing...' });
+
+    // Create a progress bar
+    this.progressBar = contentEl.createEl('progress', { value: 0, max: 100 });
+    this.progressBar.style.width = '100%';
+
+    // Create a status text
+    this.statusText = contentEl.createEl('p', { text: 'Starting...' });
+  }
+
+  // Update progress and status text
+  setProgress(value, status) {
+    this.progressBar.value = value;
+    this.statusText.setText(status);
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+// Preview the target note of a link when hovering an element of a modal, as Obsidian does for links.
+// The modal is the hover parent: Obsidian sets its `hoverPopover`.
+function addHoverPreview(modal, el, linkObj, sourcePath) {
+  el.addEventListener('mouseover', (event) => {
+    modal.app.workspace.trigger('hover-link', {
+      event,
+      source: HOVER_SOURCE,
+      hoverParent: modal,
+      targetEl: el,
+      linktext: linkObj.heading ? `${linkObj.notePath}#${linkObj.heading}` : linkObj.notePath,
+      sourcePath
+    });
+  });
+}
+
+// Label of a suggested link: the target note (with the heading path for heading links), previewed on hover,
+// then the context with the match highlighted
+function renderLinkLabel(modal, container, linkObj, sourcePath) {
+  const label = linkObj.heading ? `${linkObj.title} > ${linkObj.headingPath}` : linkObj.title;
+  const item = container.createEl('span', { cls: 'link-item' });
+  addHoverPreview(modal, item.createEl('strong', { text: label, cls: 'link-title' }), linkObj, sourcePath);
+  const contextEl = item.createEl('span', { cls: 'link-context' });
+  const oneLine = (text) => text.replace(/\s+/g, ' ');
+  contextEl.appendText(oneLine(linkObj.contextBefore ?? ''));
+  contextEl.createEl('mark', { text: linkObj.originalMatch });
+  contextEl.appendText(oneLine(linkObj.contextAfter ?? ''));
+}
+
+// Target picker of a link when several notes share the matched title or alias; onChange runs once the link
+// points to the picked target
+function renderTargetPicker(container, linkObj, onChange) {
+  if (!linkObj.targets || linkObj.targets.length <= 1) {
+    return;
+  }
+  const targetSelect = container.createEl('select', { cls: 'link-target-select' });
+  linkObj.targets.forEach((target, index) => targetSelect.createEl('option', {
+    value: String(index),
+    text: target.heading ? `${target.path} > ${target.headingPath}` : target.path
+  }));
+  targetSelect.value = String(linkObj.targets.findIndex(target => target.path === linkObj.notePath && target.heading === linkObj.heading));
+  targetSelect.addEventListener('change', () => {
+    setLinkTarget(linkObj, linkObj.targets[Number(targetSelect.value)]);
+    onChange();
+  });
+}
+
+// Modal to display results in the form of markdown checklists
+class LinkSelectionModal extends Modal {
+  constructor(app, potentialLinks, activeFile, editor, plugin) {
+    super(app);
+    this.allLinks = potentialLinks;  // Every detected link, potentialLinks being the visible ones
+    this.pageSize = plugin.settings.pageSize || 10;
+    this.currentPage = 0;
+    this.checkedLinks = new Set();
     this.activeFile = activeFile;
     this.editor = editor;
     this.plugin = plugin;
 
-    // Initialize buttons and labels
-    this.selectionCountLabel = null;
-    this.previousButton = null;
-    this.nextButton = null;
+    // View options, remembered from the last time the modal was used
+    this.sortMode = plugin.settings.suggestionSort;
+    this.groupByTarget = plugin.settings.groupByTarget;
+    this.firstOccurrenceOnly = plugin.settings.firstOccurrenceOnly;
+    this.expandedGroups = new Set();  // Paths of the targets whose occurrences are shown
+    this.filterText = '';
+    this.applyView();
+
+    // Rows of the current page for the keyboard navigation: { el, links }
+    this.rows = [];
+    this.focusedIndex = 0;
+    this.hoverPopover = null;  // Set by Obsidian when previewing a target note
+
+    // Initialize buttons and labels
+    this.selectionCountLabel = null;
+    this.previousButton = null;
+    this.nextButton = null;
+  }
+
+  // Compute the visible links, and their groups by target, from the view options
+  applyView() {
+    let links = this.allLinks;
+
+    // Keep only the first mention of each target (allLinks is sorted by position)
+    if (this.firstOccurrenceOnly) {
+      const seenTargets = new Set();
+      links = links.filter(link => {
+        if (seenTargets.has(link.notePath)) {
+          return false;
+        }
+        seenTargets.add(link.notePath);
+        return true;
+      });
+    }
+
+    // Keep the links whose matched text or target contains the filter
+    const filter = this.filterText.trim().toLowerCase();
+    if (filter) {
+      links = links.filter(link => [link.originalMatch, link.title, link.alias, link.heading, link.notePath]
+        .some(text => text && text.toLowerCase().includes(filter)));
+    }
+
+    const comparators = {
+      position: (a, b) => a.matchIndex[0] - b.matchIndex[0],
+      score: (a, b) => (b.score || 0) - (a.score || 0) || a.matchIndex[0] - b.matchIndex[0],
+      title: (a, b) => a.title.localeCompare(b.title) || a.matchIndex[0] - b.matchIndex[0]
+    };
+    this.potentialLinks = [...links].sort(comparators[this.sortMode] || comparators.position);
+
+    // Hidden links can't stay selected
+    const visibleLinks = new Set(this.potentialLinks);
+    [...this.checkedLinks].filter(link => !visibleLinks.has(link)).forEach(link => this.checkedLinks.delete(link));
+
+    // Groups keep the order of their best-placed link
+    this.groups = null;
+    if (this.groupByTarget) {
+      const groups = new Map();
+      this.potentialLinks.forEach(link => {
+        if (!groups.has(link.notePath)) {
+          groups.set(link.notePath, { notePath: link.notePath, title: link.title, links: [] });
+        }
+        groups.get(link.notePath).links.push(link);
+      });
+      this.groups = [...groups.values()];
+    }
+  }
+
+  // Paginated items: the groups when grouping by target, the links otherwise
+  getItems() {
+    return this.groups || this.potentialLinks;
+  }
+
+  // Links shown on the current page
+  getPageLinks() {
+    const start = this.currentPage * this.pageSize;
+    const items = this.getItems().slice(start, start + this.pageSize);
+    return this.groups ? items.flatMap(group => group.links) : items;
+  }
+
+  // Re-apply the view options and go back to the first page
+  refreshView() {
+    this.applyView();
+    this.currentPage = 0;
+    this.displayLinks();
+    this.updatePageButtons();
+    this.updateSelectionCount();
+  }
+
+  // Update page indicator
+  updatePageIndicator(container) {
+    const pageIndicator = container.querySelector('.page-indicator');
+    if (pageIndicator) {
+      pageIndicator.remove();
+    }
+
+    const totalPages = Math.ceil(this.getItems().length / this.pageSize);
+    if (totalPages > 1) {
+      container.createDiv({ cls: 'page-indicator', text: `Page ${this.currentPage + 1} of ${totalPages}` });
+    }
+  }
+
+  // Modal opening
+  onOpen() {
+    const { contentEl } = this;
+
+    // Size and appearance come from styles.css
+    this.modalEl.addClass('note-linker-modal');
+    contentEl.createEl('h2', { text: 'Note Link Matches' });
+    contentEl.createDiv({
+      text: 'j/k or ↓/↑ to move, space to select, enter to insert the selected links.',
+      cls: 'note-linker-hint'
+    });
+
+    // Filter, sorting, grouping and first occurrence options
+    const controls = contentEl.createDiv({ cls: 'link-view-controls' });
+    new Setting(controls)
+      .setName('Filter')
+      .addSearch(search => search
+        .setPlaceholder('Matched text or note')
+        .onChange((value) => {
+          this.filterText = value;
+          this.refreshView();
+        }));
+    new Setting(controls)
+      .setName('Sort by')
+      .addDropdown(dropdown => dropdown
+        .addOption('position', 'Position in the note')
+        .addOption('score', 'Score')
+        .addOption('title', 'Title')
+        .setValue(this.sortMode)
+        .onChange(async (value) => {
+          this.sortMode = value;
+          this.refreshView();
+          this.plugin.settings.suggestionSort = value;
+          await this.plugin.saveSettings();
+        }));
+    new Setting(controls)
+      .setName('Group by target note')
+      .addToggle(toggle => toggle
+        .setValue(this.groupByTarget)
+        .onChange(async (value) => {
+          this.groupByTarget = value;
+          this.refreshView();
+          this.plugin.settings.groupByTarget = value;
+          await this.plugin.saveSettings();
+        }));
+    new Setting(controls)
+      .setName('First occurrence only')
+      .setDesc('Only link the first mention of each note.')
+      .addToggle(toggle => toggle
+        .setValue(this.firstOccurrenceOnly)
+        .onChange(async (value) => {
+          this.firstOccurrenceOnly = value;
+          this.refreshView();
+          this.plugin.settings.firstOccurrenceOnly = value;
+          await this.plugin.saveSettings();
+        }));
+
+    this.resultContainer = contentEl.createDiv({ cls: 'link-results' });
+
+    this.displayLinks();
+    this.registerKeys();
+
+    const footer = contentEl.createDiv({ cls: "linker-modal-footer" });
+
+    // Ajout des boutons "Select All" et "Select All on This Page"
+    const selectAllButtonsContainer = footer.createDiv({ cls: "select-all-container" });
+
+    new Setting(selectAllButtonsContainer)
+      .addButton(btn => {
+        btn.setButtonText('Select/Unselect All')
+          .onClick(() => this.selectAll());
+      });
+  
+    new Setting(selectAllButtonsContainer)
+      .addButton(btn => {
+        btn.setButtonText('Select/Unselect All on This Page')
+          .onClick(() => this.selectAllOnPage());
+      });
+  
+    // Dynamic label to show how many items are selected
+    this.selectionCountLabel = footer.createEl('span', { text: `Selected: 0/${this.potentialLinks.length}` });
+
+    // Bouton "Previous Page"
+    this.previousButton = new Setting(footer)
+      .addButton(btn => {
+        btn.setButtonText('Previous Page')
+          .onClick(() => this.changePage(-1));
+      }).then(setting => setting.settingEl.querySelector('button'));
+
+    // Bouton "Next Page"
+    this.nextButton = new Setting(footer)
+      .addButton(btn => {
+        btn.setButtonText('Next Page')
+          .onClick(() => this.changePage(1));
+      }).then(setting => setting.settingEl.querySelector('button'));
+
+    // Add a button to confirm
+    new Setting(footer)
+      .addButton(btn => {
+        btn.setButtonText('Confirm')
+          .setCta()
+          .onClick(() => this.insertLinks());
+      });
+
+    this.updatePageIndicator(footer);
+    this.updatePageButtons();  // Update buttons after loading links
+    this.updateSelectionCount(); // Update the label for the number of selected items
+  }
+
+  // Keyboard navigation, unless a text field or a menu has the focus
+  registerKeys() {
+    const isEditing = (evt) => evt.target instanceof HTMLElement && evt.target.matches('input[type="text"], input[type="search"], textarea, select, button');
+    const onKey = (action) => (evt) => {
+      if (isEditing(evt)) {
+        return true;  // Let the key reach the field
+      }
+      action();
+      return false;
+    };
+    [['j', 1], ['ArrowDown', 1], ['k', -1], ['ArrowUp', -1]].forEach(([key, delta]) => {
+      this.scope.register([], key, onKey(() => this.moveFocus(delta)));
+    });
+    this.scope.register([], ' ', onKey(() => this.toggleFocused()));
+    this.scope.register([], 'Enter', onKey(() => {
+      if (this.checkedLinks.size > 0) {
+        this.insertLinks();
+      }
+    }));
+  }
+
+  // Move the focus to the next or previous row, continuing on the next or previous page
+  moveFocus(delta) {
+    const index = this.focusedIndex + delta;
+    const totalPages = Math.ceil(this.getItems().length / this.pageSize);
+    if ((index < 0 || index >= this.rows.length) && totalPages > 1) {
+      this.focusedIndex = delta > 0 ? 0 : Infinity;  // Clamped to the last row once displayed
+      this.changePage(delta);
+    } else {
+      this.focusRow(index);
+    }
+  }
+
+  // Highlight the focused row and keep it visible
+  focusRow(index) {
+    this.rows.forEach(row => row.el.removeClass('is-focused'));
+    this.focusedIndex = Math.max(0, Math.min(index, this.rows.length - 1));
+    const row = this.rows[this.focusedIndex];
+    if (row) {
+      row.el.addClass('is-focused');
+      row.el.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  // Select or unselect the links of the focused row (a link, or all the occurrences of a group)
+  toggleFocused() {
+    const row = this.rows[this.focusedIndex];
+    if (!row) {
+      return;
+    }
+    const allChecked = row.links.every(link => this.checkedLinks.has(link));
+    row.links.forEach(link => {
+      if (allChecked) {
+        this.checkedLinks.delete(link);
+      } else {
+        this.checkedLinks.add(link);
+      }
+    });
+    this.displayLinks();
+    this.updateSelectionCount();
+  }
+
+  // Function to display links (or groups of links) on the current page
+  displayLinks() {
+    this.resultContainer.empty(); // Clear previous content
+    this.rows = [];
+
+    const start = this.currentPage * this.pageSize;
+    const itemsToShow = this.getItems().slice(start, start + this.pageSize);
+
+    itemsToShow.forEach(item => {
+      if (this.groups) {
+        this.displayGroup(item);
+      } else {
+        this.displayLink(this.resultContainer, item);
+      }
+    });
+
+    this.updatePageIndicator(this.resultContainer);
+    this.focusRow(this.focusedIndex);
+  }
+
+  // Display a target note with a checkbox for all its occurrences and an expandable list of them
+  displayGroup(group) {
+    const groupItem = this.resultContainer.createDiv({ cls: 'link-group-item' });
+
+    const header = groupItem.createDiv({ cls: 'link-group-header' });
+    this.rows.push({ el: header, links: group.links });
+    const rowIndex = this.rows.length - 1;
+    header.addEventListener('click', () => this.focusRow(rowIndex));
+    const expanded = this.expandedGroups.has(group.notePath);
+    const toggle = header.createEl('span', { text: expanded ? '▼ ' : '▶ ', cls: 'link-group-toggle' });
+    toggle.addEventListener('click', () => {
+      if (expanded) {
+        this.expandedGroups.delete(group.notePath);
+      } else {
+        this.expandedGroups.add(group.notePath);
+      }
+      this.displayLinks();
+    });
+
+    const checkedCount = group.links.filter(link => this.checkedLinks.has(link)).length;
+    const checkbox = header.createEl('input', { type: 'checkbox' });
+    checkbox.checked = checkedCount === group.links.length;
+    checkbox.indeterminate = checkedCount > 0 && checkedCount < group.links.length;
+    checkbox.addEventListener('change', (e) => {
+      group.links.forEach(link => {
+        if (e.target.checked) {
+          this.checkedLinks.add(link);
+        } else {
+          this.checkedLinks.delete(link);
+        }
+      });
+      this.displayLinks();
+      this.updateSelectionCount();
+    });
+
+    const bestScore = Math.max(...group.links.map(link => link.score || 0));
+    const titleEl = header.createEl('strong', { text: group.title, cls: 'link-title' });
+    addHoverPreview(this, titleEl, group.links[0], this.activeFile.path);
+    header.createEl('span', { text: ` - ${group.links.length} occurrences, best score ${bestScore}` });
+
+    if (expanded) {
+      const occurrences = groupItem.createDiv({ cls: 'link-group-occurrences' });
+      group.links.forEach(linkObj => this.displayLink(occurrences, linkObj));
+    }
+  }
+
+  // Display one link with its checkbox, badges and ignore menu
+  displayLink(container, linkObj) {
+    const resultItem = container.createDiv({ cls: 'link-result-item' });
+    this.rows.push({ el: resultItem, links: [linkObj] });
+    const rowIndex = this.rows.length - 1;
+    resultItem.addEventListener('click', () => this.focusRow(rowIndex));
+
+    // Create interactive checkboxes
+    const checkbox = resultItem.createEl('input', { type: 'checkbox' });
+    checkbox.checked = this.checkedLinks.has(linkObj); // Check if the item is already selected
+    checkbox.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        this.checkedLinks.add(linkObj);
+      } else {
+        this.checkedLinks.delete(linkObj);
+      }
+      if (this.groups) {
+        this.displayLinks(); // Refresh the checkbox of the group
+      }
+      this.updateSelectionCount(); // Update the label after each selection/deselection
+    });
+
+    renderLinkLabel(this, resultItem, linkObj, this.activeFile.path);
+
+    // Score of the suggestion
+    if (linkObj.score !== undefined) {
+      resultItem.createEl('span', { text: `score ${linkObj.score}`, cls: 'link-score' });
+    }
+
+    // Badge showing how approximate matches were found
+    if (linkObj.matchType && linkObj.matchType !== 'exact') {
+      resultItem.createEl('span', { text: linkObj.matchType, cls: 'link-match-badge' });
+    }
+
+    // Target picker when several notes share the matched title or alias
+    renderTargetPicker(resultItem, linkObj, () => {
+      this.plugin.scoreLinks(this.activeFile, [linkObj]);
+      this.applyView();  // Groups and sorting depend on the target
+      this.displayLinks();
+      this.updatePageButtons();
+    });
+
+    // Menu to ignore the suggestion at three levels
+    const ignoreSelect = resultItem.createEl('select', { cls: 'link-ignore-select' });
+    [
+      ['', 'Ignore...'],
+      ['occurrence', 'This occurrence'],
+      ['note', 'This title in this note'],
+      ['everywhere', 'This title everywhere']
+    ].forEach(([value, text]) => ignoreSelect.createEl('option', { value, text }));
+    ignoreSelect.addEventListener('change', () => {
+      if (ignoreSelect.value) {
+        this.ignoreLink(linkObj, ignoreSelect.value);
+      }
+    });
+  }
+
+  // Function to select/unselect all items
+  selectAll() {
+    const allSelected = this.checkedLinks.size === this.potentialLinks.length;
+    
+    if (allSelected) {
+      this.checkedLinks.clear();  // Unselect all if everything is selected
+    } else {
+      this.potentialLinks.forEach(linkObj => {
+        this.checkedLinks.add(linkObj);
+      });
+    }
+    
+    this.displayLinks(); // Refresh the checkbox display
+    this.updateSelectionCount(); // Update the label
+  }
+
+  // Function to select/unselect all items on the current page
+  selectAllOnPage() {
+    const linksToShow = this.getPageLinks();
+    
+    const allPageSelected = linksToShow.every(linkObj => this.checkedLinks.has(linkObj));
+    
+    if (allPageSelected) {
+      linksToShow.forEach(linkObj => {
+        this.checkedLinks.delete(linkObj); // Unselect all on this page
+      });
+    } else {
+      linksToShow.forEach(linkObj => {
+        this.checkedLinks.add(linkObj); // Select all on this page
+      });
+    }
+  
+  this.displayLinks(); // Refresh the checkbox display
+  this.updateSelectionCount(); // Update the label
+}
+
+
+  // Ignore a suggestion and remove it, with the other suggestions covered by the same rule, from the list
+  async ignoreLink(linkObj, level) {
+    await this.plugin.ignoreLink(linkObj, level, this.activeFile);
+
+    const isIgnored = (link) => (level === 'occurrence' ? link === linkObj : this.plugin.getLinkName(link) === this.plugin.getLinkName(linkObj));
+    this.allLinks.filter(isIgnored).forEach(link => this.checkedLinks.delete(link));
+    this.allLinks = this.allLinks.filter(link => !isIgnored(link));
+    this.applyView();
+
+    if (this.potentialLinks.length === 0) {
+      this.close();
+      new Notice('No potential links left.');
+      return;
+    }
+
+    const totalPages = Math.ceil(this.getItems().length / this.pageSize);
+    this.currentPage = Math.min(this.currentPage, totalPages - 1);
+    this.displayLinks();
+    this.updatePageButtons();
+    this.updateSelectionCount();
+  }
+
+  // Function to change page and display links
+  changePage(delta) {
+    const totalPages = Math.ceil(this.getItems().length / this.pageSize);
+    this.currentPage = (this.currentPage + delta + totalPages) % totalPages; // Circular navigation
+    this.displayLinks(); // Reload results
+    this.updatePageButtons(); // Update buttons
+  }
+
+  // Mise à jour des boutons "Previous" et "Next"
+  updatePageButtons() {
+    const totalPages = Math.ceil(this.getItems().length / this.pageSize);
+    
+    if (totalPages <= 1) {
+      this.previousButton.disabled = true;
+      this.nextButton.disabled = true;
+    } else {
+      this.previousButton.disabled = (this.currentPage === 0);
+      this.nextButton.disabled = (this.currentPage === totalPages - 1);
+    }
+  }
+
+  // Function to update the number of selected items
+  updateSelectionCount() {
+    const selectedCount = this.checkedLinks.size;
+    this.selectionCountLabel.setText(`Selected: ${selectedCount}/${this.potentialLinks.length}`);
   }
 
-  // Update page indicator
-  updatePageIndicator(container) {
-    const pageIndicator = container.querySelector('.page-indicator');
-    if (pageIndicator) {
-      pageIndicator.remove();
-    }
+  // Insert links into the active note
+  async insertLinks() {
+    const linksToInsert = Array.from(this.checkedLinks);
+    await this.plugin.insertLinks(this.activeFile, this.editor, linksToInsert);
+    this.close();
+  }
 
-    const totalPages = Math.ceil(this.potentialLinks.length / this.pageSize);
-    if (totalPages > 1) {
-      const indicator = container.createDiv({ cls: 'page-indicator', text: `Page ${this.currentPage + 1} of ${totalPages}` });
-      indicator.style.marginTop = '10px';
-      indicator.style.fontSize = '12px';
-    }
+  // Close the modal
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+
+// Modal to pick the notes scanned by the batch mode
+class BatchScopeModal extends Modal {
+  constructor(app, onSubmit, title = 'Scan Vault for Links') {
+    super(app);
+    this.onSubmit = onSubmit;
+    this.title = title;
+    this.batchScope = { type: 'vault', value: '' };  // Not `scope`, which holds the key bindings of the modal
   }
 
-  // Modal opening
   onOpen() {
+    this.display();
+  }
+
+  // Render the form, the value field depends on the scope type
+  display() {
     const { contentEl } = this;
+    contentEl.empty();
 
-    contentEl.createEl('h2', { text: 'Note Link Matches' });
+    contentEl.createEl('h2', { text: this.title });
 
-    // Enlarge the window
-    contentEl.style.width = '800px';
-    contentEl.style.height = '600px';
+    new Setting(contentEl)
+      .setName('Scope')
+      .setDesc('Notes to scan.')
+      .addDropdown(dropdown => dropdown
+        .addOption('vault', 'Whole vault')
+        .addOption('folder', 'Folder')
+        .addOption('tag', 'Tag')
+        .addOption('search', 'Search results')
+        .setValue(this.batchScope.type)
+        .onChange((value) => {
+          this.batchScope.type = value;
+          this.display();
+        }));
 
-    // Customize appearance
-    contentEl.style.borderRadius = '10px';
-    contentEl.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.2)';
-    contentEl.style.padding = '20px';
+    const fields = {
+      folder: { name: 'Folder', placeholder: 'e.g. Projects/2024' },
+      tag: { name: 'Tag', placeholder: 'e.g. #project' },
+      search: {
+        name: 'Search query',
+        desc: 'Query of the core Search plugin, with its operators (e.g., tag:#project path:Notes "exact phrase"). The results are also shown in the search pane.',
+        placeholder: 'e.g. tag:#project "machine learning"'
+      }
+    };
+    const field = fields[this.batchScope.type];
+    if (field) {
+      new Setting(contentEl)
+        .setName(field.name)
+        .setDesc(field.desc || '')
+        .addText(text => text
+          .setPlaceholder(field.placeholder)
+          .setValue(this.batchScope.value)
+          .onChange((value) => {
+            this.batchScope.value = value.trim();
+          }));
+    }
 
-    this.resultContainer = contentEl.createDiv({ cls: 'link-results' });
-    this.resultContainer.style.fontSize = '12px';
+    new Setting(contentEl)
+      .addButton(btn => {
+        btn.setButtonText('Scan')
+          .setCta()
+          .onClick(() => {
+            if (field && !this.batchScope.value) {
+              new Notice(`Please enter a ${field.name.toLowerCase()}.`);
+              return;
+            }
+            if (this.batchScope.type === 'search' && !getCoreSearch(this.app)) {
+              new Notice('Enable the core Search plugin to scan search results.');
+              return;
+            }
+            this.close();
+            this.onSubmit(this.batchScope);
+          });
+      });
+  }
 
-    this.displayLinks();
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
 
-    const footer = contentEl.createDiv({ cls: "linker-modal-footer" });
-    footer.style.display = "flex";
-    footer.style.justifyContent = "space-between";
+// Dry-run summary of a batch scan, shown before anything is written
+class BatchSummaryModal extends Modal {
+  constructor(app, results, plugin) {
+    super(app);
+    this.results = results;
+    this.plugin = plugin;
+  }
 
-    // Ajout des boutons "Select All" et "Select All on This Page"
-    const selectAllButtonsContainer = footer.createDiv({ cls: "select-all-container" });
+  onOpen() {
+    const { contentEl } = this;
 
-    new Setting(selectAllButtonsContainer)
+    contentEl.createEl('h2', { text: 'Batch Linking Summary' });
+
+    // Count the links that would really be written (one per range)
+    const linkCount = this.results.reduce((total, result) => total + this.plugin.prepareLinkChanges(result.links, result.file.path).length, 0);
+    contentEl.createEl('p', { text: `${linkCount} links would be added to ${this.results.length} files.` });
+
+    // Show the files with the most links first
+    const list = contentEl.createEl('ul');
+    const sortedResults = [...this.results].sort((a, b) => b.links.length - a.links.length);
+    sortedResults.slice(0, 10).forEach(result => {
+      list.createEl('li', { text: `${result.file.path} (${result.links.length})` });
+    });
+    if (sortedResults.length > 10) {
+      list.createEl('li', { text: `...and ${sortedResults.length - 10} more files` });
+    }
+
+    new Setting(contentEl)
       .addButton(btn => {
-        btn.setButtonText('Select/Unselect All')
-          .onClick(() => this.selectAll());
-      });
-  
-    new Setting(selectAllButtonsContainer)
+        btn.setButtonText('Cancel')
+          .onClick(() => this.close());
+      })
       .addButton(btn => {
-        btn.setButtonText('Select/Unselect All on This Page')
-          .onClick(() => this.selectAllOnPage());
+        btn.setButtonText('Apply All')
+          .setWarning()
+          .onClick(() => {
+            this.close();
+            this.plugin.applyBatchLinks(this.results);
+          });
+      })
+      .addButton(btn => {
+        btn.setButtonText('Review')
+          .setCta()
+          .onClick(() => {
+            this.close();
+            new BatchReviewModal(this.app, this.results, this.plugin).open();
+          });
       });
-  
-    // Dynamic label to show how many items are selected
-    this.selectionCountLabel = footer.createEl('span', { text: `Selected: 0/${this.potentialLinks.length}` });
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+// Modal to review the results of a batch scan grouped per file, with per-file and per-match selection
+class BatchReviewModal extends Modal {
+  constructor(app, results, plugin, title = 'Review Links by File') {
+    super(app);
+    this.results = results;
+    this.plugin = plugin;
+    this.title = title;
+    this.pageSize = plugin.settings.pageSize || 10;  // Number of files per page
+    this.currentPage = 0;
+
+    // Every match is accepted until it is rejected
+    this.checkedLinks = new Set();
+    results.forEach(result => result.links.forEach(link => this.checkedLinks.add(link)));
+    this.linkCount = this.checkedLinks.size;
+
+    this.hoverPopover = null;  // Set by Obsidian when previewing a target note
+
+    this.selectionCountLabel = null;
+    this.previousButton = null;
+    this.nextButton = null;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    this.modalEl.addClass('note-linker-modal');  // Matches are shown as in the link selection window
+
+    contentEl.createEl('h2', { text: this.title });
+
+    this.resultContainer = contentEl.createDiv({ cls: 'batch-link-results' });
+
+    const footer = contentEl.createDiv({ cls: 'linker-modal-footer' });
+
+    this.selectionCountLabel = footer.createEl('span');
 
-    // Bouton "Previous Page"
     this.previousButton = new Setting(footer)
       .addButton(btn => {
         btn.setButtonText('Previous Page')
           .onClick(() => this.changePage(-1));
       }).then(setting => setting.settingEl.querySelector('button'));
 
-    // Bouton "Next Page"
     this.nextButton = new Setting(footer)
       .addButton(btn => {
         btn.setButtonText('Next Page')
           .onClick(() => this.changePage(1));
       }).then(setting => setting.settingEl.querySelector('button'));
 
-    // Add a button to confirm
     new Setting(footer)
       .addButton(btn => {
-        btn.setButtonText('Confirm')
+        btn.setButtonText('Apply')
           .setCta()
-          .onClick(() => this.insertLinks());
+          .onClick(() => this.applyLinks());
       });
 
-    this.updatePageIndicator(footer);
-    this.updatePageButtons();  // Update buttons after loading links
-    this.updateSelectionCount(); // Update the label for the number of selected items
+    this.displayFiles();
+    this.updatePageButtons();
+    this.updateSelectionCount();
   }
 
-  // Function to display links on the current page
-  displayLinks() {
-    this.resultContainer.empty(); // Clear previous content
+  // Display the files of the current page with their matches
+  displayFiles() {
+    this.resultContainer.empty();
 
     const start = this.currentPage * this.pageSize;
-    const end = Math.min(start + this.pageSize, this.potentialLinks.length);
-    const linksToShow = this.potentialLinks.slice(start, end);
+    const resultsToShow = this.results.slice(start, start + this.pageSize);
 
-    linksToShow.forEach(linkObj => {
-      const { title, context } = linkObj;
-      const resultItem = this.resultContainer.createDiv({ cls: 'link-result-item' });
+    resultsToShow.forEach(({ file, links }) => {
+      const fileItem = this.resultContainer.createDiv({ cls: 'batch-file-item' });
 
-      // Create interactive checkboxes
-      const checkbox = resultItem.createEl('input', { type: 'checkbox' });
-      checkbox.checked = this.checkedLinks.has(linkObj); // Check if the item is already selected
-      checkbox.addEventListener('change', (e) => {
-        if (e.target.checked) {
-          this.checkedLinks.add(linkObj);
-        } else {
-          this.checkedLinks.delete(linkObj);
-        }
-        this.updateSelectionCount(); // Update the label after each selection/deselection
+      // Per-file checkbox to accept or reject all the matches of the file
+      const header = fileItem.createDiv({ cls: 'batch-file-header' });
+      const fileCheckbox = header.createEl('input', { type: 'checkbox' });
+      header.createEl('strong', { text: ` ${file.path}` });
+      header.createEl('span', { text: ` (${links.length})` });
+
+      const updateFileCheckbox = () => {
+        const checkedCount = links.filter(link => this.checkedLinks.has(link)).length;
+        fileCheckbox.checked = checkedCount === links.length;
+        fileCheckbox.indeterminate = checkedCount > 0 && checkedCount < links.length;
+      };
+
+      const matchCheckboxes = [];
+      fileCheckbox.addEventListener('change', (e) => {
+        links.forEach(link => {
+          if (e.target.checked) {
+            this.checkedLinks.add(link);
+          } else {
+            this.checkedLinks.delete(link);
+          }
+        });
+        matchCheckboxes.forEach(checkbox => {
+          checkbox.checked = e.target.checked;
+        });
+        this.updateSelectionCount();
       });
 
-      // Display the markdown-like format - [ ] title - context
-      resultItem.createEl('span', { text: ` **${title}** - ${context}`, cls: 'link-item' });
+      // Per-match checkboxes
+      links.forEach(link => {
+        const matchItem = fileItem.createDiv({ cls: 'link-result-item' });
+
+        const checkbox = matchItem.createEl('input', { type: 'checkbox' });
+        checkbox.checked = this.checkedLinks.has(link);
+        checkbox.addEventListener('change', (e) => {
+          if (e.target.checked) {
+            this.checkedLinks.add(link);
+          } else {
+            this.checkedLinks.delete(link);
+          }
+          updateFileCheckbox();
+          this.updateSelectionCount();
+        });
+        matchCheckboxes.push(checkbox);
+
+        renderLinkLabel(this, matchItem, link, file.path);
+        renderTargetPicker(matchItem, link, () => this.displayFiles());
+      });
 
-      resultItem.style.marginBottom = '8px';
-      resultItem.style.fontSize = '12px'; // Adjust font size for compactness
+      updateFileCheckbox();
     });
+  }
 
-    this.updatePageIndicator(this.resultContainer);
+  // Function to change page and display files
+  changePage(delta) {
+    const totalPages = Math.ceil(this.results.length / this.pageSize);
+    this.currentPage = (this.currentPage + delta + totalPages) % totalPages; // Circular navigation
+    this.displayFiles();
+    this.updatePageButtons();
+    this.updateSelectionCount();
   }
 
-  // Function to select/unselect all items
-  selectAll() {
-    const allSelected = this.checkedLinks.size === this.potentialLinks.length;
-    
-    if (allSelected) {
-      this.checkedLinks.clear();  // Unselect all if everything is selected
-    } else {
-      this.potentialLinks.forEach(linkObj => {
-        this.checkedLinks.add(linkObj);
+  updatePageButtons() {
+    const totalPages = Math.ceil(this.results.length / this.pageSize);
+    this.previousButton.disabled = totalPages <= 1 || this.currentPage === 0;
+    this.nextButton.disabled = totalPages <= 1 || this.currentPage === totalPages - 1;
+  }
+
+  updateSelectionCount() {
+    const totalPages = Math.ceil(this.results.length / this.pageSize);
+    this.selectionCountLabel.setText(`Selected: ${this.checkedLinks.size}/${this.linkCount} - Page ${this.currentPage + 1} of ${totalPages}`);
+  }
+
+  // Apply the accepted matches of every file
+  applyLinks() {
+    const accepted = this.results
+      .map(({ file, links }) => ({ file, links: links.filter(link => this.checkedLinks.has(link)) }))
+      .filter(result => result.links.length > 0);
+
+    this.close();
+    if (accepted.length > 0) {
+      this.plugin.applyBatchLinks(accepted);
+    }
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+// Summary of the link statistics, with the export buttons
+class LinkReportModal extends Modal {
+  constructor(app, report, plugin) {
+    super(app);
+    this.report = report;
+    this.plugin = plugin;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const { report } = this;
+
+    contentEl.createEl('h2', { text: 'Link Statistics' });
+    const totalAdded = report.linksAdded.reduce((total, { count }) => total + count, 0);
+    contentEl.createEl('p', { text: `${report.noteCount} notes, ${report.orphans.length} orphans, ${totalAdded} links added by the plugin.` });
+
+    // Only the beginning of each list is shown, the exports have all of it
+    const addList = (title, items, empty) => {
+      contentEl.createEl('h3', { text: title });
+      if (items.length === 0) {
+        contentEl.createEl('p', { text: empty });
+        return;
+      }
+      const list = contentEl.createEl('ul');
+      items.slice(0, 10).forEach(text => list.createEl('li', { text }));
+      if (items.length > 10) {
+        list.createEl('li', { text: `...and ${items.length - 10} more` });
+      }
+    };
+
+    addList('Orphan Notes', report.orphans, 'No orphan notes.');
+    addList('Notes with the Most Unlinked Mentions',
+      report.mentionsByNote.map(({ path, count }) => `${path} (${count})`), 'No unlinked mentions.');
+    addList('Titles Mentioned but Never Linked',
+      report.unlinkedTitles.map(({ title, mentions, notes }) => `${title} (${mentions} mentions in ${notes} notes)`), 'None.');
+    addList('Links Added by the Plugin',
+      [...report.linksAdded].reverse().map(({ day, count }) => `${day}: ${count}`), 'No links added yet.');
+
+    new Setting(contentEl)
+      .addButton(btn => {
+        btn.setButtonText('Export CSV')
+          .onClick(async () => {
+            await this.plugin.exportLinkReport(report, 'csv');
+            this.close();
+          });
+      })
+      .addButton(btn => {
+        btn.setButtonText('Save as Note')
+          .setCta()
+          .onClick(async () => {
+            await this.plugin.exportLinkReport(report, 'markdown');
+            this.close();
+          });
       });
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+// History of the applied link batches, newest first, to revert a batch or single links
+class LinkHistoryModal extends Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+  }
+
+  onOpen() {
+    this.display();
+  }
+
+  display() {
+    const { contentEl } = this;
+    contentEl.empty();
+    this.modalEl.addClass('note-linker-modal');
+
+    contentEl.createEl('h2', { text: 'Link History' });
+    const history = [...this.plugin.linkHistory].reverse();
+    if (history.length === 0) {
+      contentEl.createEl('p', { text: 'No links applied yet.' });
+      return;
     }
-    
-    this.displayLinks(); // Refresh the checkbox display
-    this.updateSelectionCount(); // Update the label
+
+    const kindLabels = { note: 'Links inserted in a note', auto: 'Automatic links', batch: 'Batch linking' };
+    const list = contentEl.createDiv({ cls: 'link-history' });
+
+    history.forEach(batch => {
+      const pending = batch.links.filter(link => !link.reverted);
+      const files = new Set(batch.links.map(link => link.path));
+      new Setting(list)
+        .setName(`${kindLabels[batch.kind] || batch.kind} - ${new Date(batch.date).toLocaleString()}`)
+        .setDesc(`${batch.links.length} links in ${files.size} files${pending.length < batch.links.length ? `, ${batch.links.length - pending.length} reverted` : ''}`)
+        .addButton(btn => btn
+          .setButtonText('Revert Batch')
+          .setWarning()
+          .setDisabled(pending.length === 0)
+          .onClick(() => this.revert(batch.links)));
+
+      // The single links, folded by default since a batch can hold many of them
+      const details = list.createEl('details');
+      details.createEl('summary', { text: 'Links' });
+      batch.links.slice(0, 50).forEach(link => {
+        const item = details.createDiv({ cls: 'link-history-item' });
+        item.createEl('span', { text: `${link.path}: "${link.originalText}" → ${link.text} ` });
+        if (link.reverted) {
+          item.createEl('em', { text: '(reverted)' });
+        } else {
+          item.createEl('button', { text: 'Revert' }).addEventListener('click', () => this.revert([link]));
+        }
+      });
+      if (batch.links.length > 50) {
+        details.createDiv({ text: `...and ${batch.links.length - 50} more links` });
+      }
+    });
   }
 
-  // Function to select/unselect all items on the current page
-  selectAllOnPage() {
-    const start = this.currentPage * this.pageSize;
-    const end = Math.min(start + this.pageSize, this.potentialLinks.length);
-    const linksToShow = this.potentialLinks.slice(start, end);
-    
-    const allPageSelected = linksToShow.every(linkObj => this.checkedLinks.has(linkObj));
-    
-    if (allPageSelected) {
-      linksToShow.forEach(linkObj => {
-        this.checkedLinks.delete(linkObj); // Unselect all on this page
+  // Revert links, then report the ones whose text changed in the meantime
+  async revert(links) {
+    const pending = links.filter(link => !link.reverted).length;
+    const reverted = await this.plugin.revertLinks(links);
+    new Notice(reverted < pending
+      ? `${reverted} links reverted, ${pending - reverted} not found (the text was changed since).`
+      : `${reverted} links reverted.`);
+    this.display();
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+// Review of the redundant links found by the cleanup commands, to strip the selected ones back to plain text
+class LinkCleanupModal extends Modal {
+  constructor(app, results, plugin) {
+    super(app);
+    this.results = results;  // [{ file, links }]
+    this.plugin = plugin;
+    this.selectedLinks = new Set(results.flatMap(result => result.links));
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const linkCount = this.selectedLinks.size;
+    this.modalEl.addClass('note-linker-modal');
+
+    contentEl.createEl('h2', { text: 'Clean Up Redundant Links' });
+    contentEl.createEl('p', { text: `${linkCount} redundant links in ${this.results.length} notes. Unchecked links are kept.` });
+
+    const reasonLabels = { self: 'link to the note itself', repeated: 'repeated link' };
+    const list = contentEl.createDiv({ cls: 'link-cleanup' });
+
+    this.results.forEach(({ file, links }) => {
+      list.createEl('h3', { text: file.path });
+      links.forEach(link => {
+        const item = list.createDiv({ cls: 'link-cleanup-item' });
+        const checkbox = item.createEl('input', { type: 'checkbox' });
+        checkbox.checked = true;
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) {
+            this.selectedLinks.add(link);
+          } else {
+            this.selectedLinks.delete(link);
+          }
+        });
+        item.createEl('span', { text: ` ${link.text} → "${link.originalText}" ` });
+        item.createEl('em', { text: `(${reasonLabels[link.reason]})` });
       });
-    } else {
-      linksToShow.forEach(linkObj => {
-        this.checkedLinks.add(linkObj); // Select all on this page
+    });
+
+    new Setting(contentEl)
+      .addButton(btn => btn
+        .setButtonText('Unlink Selected')
+        .setWarning()
+        .onClick(() => this.unlink()));
+  }
+
+  // Strip the selected links, then report the ones whose text changed in the meantime
+  async unlink() {
+    const links = [...this.selectedLinks];
+    this.close();
+    if (links.length === 0) {
+      return;
+    }
+    const unlinked = await this.plugin.revertLinks(links);
+    new Notice(unlinked < links.length
+      ? `${unlinked} links removed, ${links.length - unlinked} not found (the text was changed since).`
+      : `${unlinked} links removed.`);
+  }
+
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
+// Editor extension showing the auto-link suggestion at its mention: the mention is highlighted and followed by the
+// suggested link, which inserts it when clicked. `setLinkSuggestion` effects carry { from, to, text } or null.
+function createLinkSuggestionExtension(plugin) {
+  const setLinkSuggestion = StateEffect.define();
+
+  class LinkSuggestionWidget extends WidgetType {
+    constructor(text) {
+      super();
+      this.text = text;
+    }
+
+    eq(other) {
+      return other.text === this.text;
+    }
+
+    toDOM() {
+      const el = document.createElement('span');
+      el.className = 'note-linker-suggestion-link';
+      el.textContent = `→ ${this.text}`;
+      el.setAttribute('aria-label', 'Click or run "Accept Link Suggestion" to insert the link');
+      el.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        plugin.acceptLinkSuggestion();
       });
+      return el;
     }
-  
-  this.displayLinks(); // Refresh the checkbox display
-  this.updateSelectionCount(); // Update the label
+  }
+
+  const field = StateField.define({
+    create: () => Decoration.none,
+    update(decorations, transaction) {
+      for (const effect of transaction.effects) {
+        if (effect.is(setLinkSuggestion)) {
+          const suggestion = effect.value;
+          return suggestion ? Decoration.set([
+            Decoration.mark({ class: 'note-linker-suggestion' }).range(suggestion.from, suggestion.to),
+            Decoration.widget({ widget: new LinkSuggestionWidget(suggestion.text), side: 1 }).range(suggestion.to)
+          ]) : Decoration.none;
+        }
+      }
+      // Typing drops the suggestion, as the plugin does
+      return transaction.docChanged ? Decoration.none : decorations;
+    },
+    provide: (field) => EditorView.decorations.from(field)
+  });
+
+  return { setLinkSuggestion, field };
 }
 
+// Sidebar view listing the potential links of the current note, refreshed while typing or switching notes
+class UnlinkedMentionsView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.markdownView = null;  // Last markdown view that was active
+    this.requestRefresh = debounce(() => this.refresh(), 500, true);
+  }
 
-  // Function to change page and display links
-  changePage(delta) {
-    const totalPages = Math.ceil(this.potentialLinks.length / this.pageSize);
-    this.currentPage = (this.currentPage + delta + totalPages) % totalPages; // Circular navigation
-    this.displayLinks(); // Reload results
-    this.updatePageButtons(); // Update buttons
+  getViewType() {
+    return VIEW_TYPE_UNLINKED_MENTIONS;
   }
 
-  // Mise à jour des boutons "Previous" et "Next"
-  updatePageButtons() {
-    const totalPages = Math.ceil(this.potentialLinks.length / this.pageSize);
-    
-    if (totalPages <= 1) {
-      this.previousButton.disabled = true;
-      this.nextButton.disabled = true;
-    } else {
-      this.previousButton.disabled = (this.currentPage === 0);
-      this.nextButton.disabled = (this.currentPage === totalPages - 1);
-    }
+  getDisplayText() {
+    return 'Unlinked Mentions';
   }
 
-  // Function to update the number of selected items
-  updateSelectionCount() {
-    const selectedCount = this.checkedLinks.size;
-    this.selectionCountLabel.setText(`Selected: ${selectedCount}/${this.potentialLinks.length}`);
+  getIcon() {
+    return 'link';
   }
 
-  // Insert links into the active note
-  async insertLinks() {
-    const linksToInsert = Array.from(this.checkedLinks);
-    await this.plugin.insertLinks(this.activeFile, this.editor, linksToInsert);
-    this.close();
+  async onOpen() {
+    this.markdownView = this.app.workspace.getActiveViewOfType(MarkdownView);
+
+    // Follow the note being edited, the view itself becoming active must not clear the list
+    this.registerEvent(this.app.workspace.on('active-leaf-change', (leaf) => {
+      if (leaf && leaf.view instanceof MarkdownView) {
+        this.markdownView = leaf.view;
+        this.requestRefresh();
+      }
+    }));
+    this.registerEvent(this.app.workspace.on('editor-change', (editor, info) => {
+      if (info === this.markdownView || (info && info.file === this.markdownView?.file)) {
+        this.requestRefresh();
+      }
+    }));
+
+    this.refresh();
   }
 
-  // Close the modal
-  onClose() {
+  // Detect the potential links of the current note and render them
+  refresh() {
     const { contentEl } = this;
     contentEl.empty();
+
+    const view = this.markdownView;
+    if (!view || !view.file) {
+      contentEl.createEl('p', { text: 'No active note.' });
+      return;
+    }
+
+    // The view can't show a progress window, so a stale cache is rebuilt directly
+    this.plugin.updateCache();
+
+    const file = view.file;
+    const links = this.plugin.detectLinksInFile(file, view.editor.getValue());
+
+    const header = contentEl.createDiv({ cls: 'unlinked-mentions-header' });
+    header.createEl('strong', { text: `${links.length} unlinked mentions in ${file.basename}` });
+
+    if (links.length === 0) {
+      return;
+    }
+
+    new Setting(header)
+      .addButton(btn => {
+        btn.setButtonText('Link All')
+          .setCta()
+          .onClick(() => this.linkMentions(links));
+      });
+
+    links.forEach(link => {
+      const item = contentEl.createDiv({ cls: 'unlinked-mention-item' });
+
+      const name = link.heading ? `${link.title} > ${link.headingPath}` : (link.alias ? `${link.title} (${link.alias})` : link.title);
+      item.createEl('div', { text: name, cls: 'unlinked-mention-title' });
+      item.createEl('div', { text: link.context, cls: 'unlinked-mention-context' });
+
+      const actions = item.createDiv({ cls: 'unlinked-mention-actions' });
+      actions.createEl('button', { text: 'Link this' })
+        .addEventListener('click', () => this.linkMentions([link]));
+      actions.createEl('button', { text: 'Ignore' })
+        .addEventListener('click', async () => {
+          // Ignore this title in this note
+          await this.plugin.ignoreLink(link, 'note', file);
+          this.refresh();
+        });
+    });
+  }
+
+  // Insert the links in the editor of the current note
+  async linkMentions(links) {
+    const view = this.markdownView;
+    if (view && view.file) {
+      await this.plugin.insertLinks(view.file, view.editor, links);
+      this.refresh();
+    }
   }
-}
 
+  async onClose() {
+    this.contentEl.empty();
+  }
+}
 
 // Settings tab to exclude folders and manage wikilink options
 class NoteLinkerSettingTab extends PluginSettingTab {
@@ -548,12 +3740,13 @@ class NoteLinkerSettingTab extends PluginSettingTab {
     // Exclude certain folders
     new Setting(containerEl)
       .setName('Excluded Folders')
-      .setDesc('Add folders to exclude from linking.')
+      .setDesc('Folders (with their subfolders) left out of both the scanned notes and the link targets, one per line.')
       .addTextArea(text => text
         .setPlaceholder('Enter folder paths, one per line')
         .setValue(this.plugin.settings.excludedFolders?.join('\n') || '')
         .onChange(async (value) => {
           this.plugin.settings.excludedFolders = value.split('\n').map(folder => folder.trim()).filter(Boolean);
+          this.plugin.syncIndexWithSettings();
           await this.plugin.saveSettings();
         }));
 
@@ -570,6 +3763,18 @@ class NoteLinkerSettingTab extends PluginSettingTab {
         })
         .setDynamicTooltip());
 
+    new Setting(containerEl)
+      .setName('Context Length')
+      .setDesc('Number of characters shown before and after each match in the selection window.')
+      .addSlider(slider => slider
+        .setLimits(10, 200, 10)
+        .setValue(this.plugin.settings.contextLength)
+        .onChange(async (value) => {
+          this.plugin.settings.contextLength = value;
+          await this.plugin.saveSettings();
+        })
+        .setDynamicTooltip());
+
     // Setting to enable/disable frontmatter scan
     new Setting(containerEl)
       .setName('Exclude Frontmatter')
@@ -581,19 +3786,216 @@ class NoteLinkerSettingTab extends PluginSettingTab {
           await this.plugin.saveSettings();
         }));
 
-    // Setting to enable wikilinks with display text
+    // Rules choosing the notes that can be linked to and the notes that are scanned
+    containerEl.createEl('h3', { text: 'Filtering Rules' });
+    containerEl.createEl('p', {
+      text: 'A note matching an exclude rule is left out. If a set has include rules, only the notes matching one of them are kept. The excluded folders apply to both sets.',
+      cls: 'setting-item-description'
+    });
+    this.displayRules(containerEl, 'targetRules', 'Link Targets', 'Notes that can be linked to.');
+    this.displayRules(containerEl, 'sourceRules', 'Scanned Notes', 'Notes in which links are suggested.');
+
+    // One toggle per excluded markdown zone
+    containerEl.createEl('h3', { text: 'Excluded Zones' });
+    EXCLUSION_ZONES.forEach(zone => {
+      new Setting(containerEl)
+        .setName(zone.name)
+        .setDesc(zone.desc)
+        .addToggle(toggle => toggle
+          .setValue(this.plugin.settings[zone.setting])
+          .onChange(async (value) => {
+            this.plugin.settings[zone.setting] = value;
+            await this.plugin.saveSettings();
+          }));
+    });
+
+    // Approximate matching modes
+    containerEl.createEl('h3', { text: 'Matching' });
+
+    new Setting(containerEl)
+      .setName('Ignore Accents')
+      .setDesc('Match titles regardless of diacritics (e.g., "cafe" matches "Café").')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.ignoreAccents)
+        .onChange(async (value) => {
+          this.plugin.settings.ignoreAccents = value;
+          this.plugin.titleMatcher = null;  // The matcher must be rebuilt
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Plurals and Inflections')
+      .setDesc('Match the singular and plural forms of the last word of a title (e.g., "Neural Networks" for "Neural Network").')
+      .addDropdown(dropdown => dropdown
+        .addOption('', 'Off')
+        .addOption('en', 'English')
+        .addOption('fr', 'French')
+        .addOption('es', 'Spanish')
+        .addOption('de', 'German')
+        .setValue(this.plugin.settings.inflectionLanguage)
+        .onChange(async (value) => {
+          this.plugin.settings.inflectionLanguage = value;
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Typo Tolerance')
+      .setDesc('Number of typos (edit distance) tolerated when matching long titles, anywhere in the title including its first letter. A title needs 8 characters to tolerate one typo, 12 for two and 16 for three. 0 turns it off.')
+      .addSlider(slider => slider
+        .setLimits(0, 3, 1)
+        .setValue(this.plugin.settings.fuzzyMaxDistance)
+        .onChange(async (value) => {
+          this.plugin.settings.fuzzyMaxDistance = value;
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        })
+        .setDynamicTooltip());
+
+    new Setting(containerEl)
+      .setName('Minimum Length for Typo Tolerance')
+      .setDesc('Only titles with at least this many characters are matched with typos.')
+      .addSlider(slider => slider
+        .setLimits(5, 40, 1)
+        .setValue(this.plugin.settings.fuzzyMinLength)
+        .onChange(async (value) => {
+          this.plugin.settings.fuzzyMinLength = value;
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        })
+        .setDynamicTooltip());
+
+    new Setting(containerEl)
+      .setName('Match Whole Words')
+      .setDesc('Only match titles at word boundaries (e.g., "AI" is not found in "said"). Scripts written without spaces, such as Chinese or Japanese, are matched anywhere.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.wholeWords)
+        .onChange(async (value) => {
+          this.plugin.settings.wholeWords = value;
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Minimum Title Length')
+      .setDesc('Titles and aliases shorter than this are never suggested.')
+      .addSlider(slider => slider
+        .setLimits(1, 20, 1)
+        .setValue(this.plugin.settings.minTitleLength)
+        .onChange(async (value) => {
+          this.plugin.settings.minTitleLength = value;
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        })
+        .setDynamicTooltip());
+
+    new Setting(containerEl)
+      .setName('Stop Words')
+      .setDesc('Titles and aliases never suggested, one per line (compared without case).')
+      .addTextArea(text => text
+        .setPlaceholder('Enter words, one per line')
+        .setValue(this.plugin.settings.stopWords.join('\n'))
+        .onChange(async (value) => {
+          this.plugin.settings.stopWords = value.split('\n').map(word => word.trim()).filter(Boolean);
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Excluded Title Pattern')
+      .setDesc('Regular expression of the titles never suggested. The default skips titles made only of numbers or dates. Leave empty to turn it off.')
+      .addText(text => text
+        .setPlaceholder('^[\\d\\s./:_-]+$')
+        .setValue(this.plugin.settings.excludedTitlePattern)
+        .onChange(async (value) => {
+          this.plugin.settings.excludedTitlePattern = value;
+          this.plugin.titleMatcher = null;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Links' });
+
+    // Setting to match frontmatter aliases
+    new Setting(containerEl)
+      .setName('Match Aliases')
+      .setDesc('Also suggest links when the text matches one of the aliases declared in a note\'s frontmatter.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.matchAliases)
+        .onChange(async (value) => {
+          this.plugin.settings.matchAliases = value;
+          this.plugin.refreshIndexEntries();  // Aliases must be re-indexed
+          await this.plugin.saveSettings();
+        }));
+
+    // Settings to link to headings
     new Setting(containerEl)
-      .setName('Enable WikiLinks with Display Text')
-      .setDesc('If enabled, will generate links in the format [[Page Title|Text]].')
+      .setName('Link to Headings')
+      .setDesc('Also suggest links when the text matches a heading of a note (e.g., [[Optimization#Gradient Descent|Gradient Descent]]).')
       .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.enableWikiLinks)
+        .setValue(this.plugin.settings.indexHeadings)
+        .onChange(async (value) => {
+          this.plugin.settings.indexHeadings = value;
+          this.plugin.refreshIndexEntries();  // Headings must be re-indexed
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Heading Folders')
+      .setDesc('Only index the headings of the notes in these folders, one per line. Leave empty for the whole vault.')
+      .addTextArea(text => text
+        .setPlaceholder('Enter folder paths, one per line')
+        .setValue(this.plugin.settings.headingFolders.join('\n'))
+        .onChange(async (value) => {
+          this.plugin.settings.headingFolders = value.split('\n').map(folder => folder.trim()).filter(Boolean);
+          this.plugin.refreshIndexEntries();
+          await this.plugin.saveSettings();
+        }));
+
+    // Format of the inserted links
+    new Setting(containerEl)
+      .setName('Link Format')
+      .setDesc('Wikilinks ([[Page Title]]), markdown links ([text](relative/path.md)) or a custom template.')
+      .addDropdown(dropdown => dropdown
+        .addOption('wikilink', 'Wikilinks')
+        .addOption('markdown', 'Markdown links')
+        .addOption('template', 'Custom template')
+        .setValue(this.plugin.settings.linkFormat)
         .onChange(async (value) => {
-          this.plugin.settings.enableWikiLinks = value;
+          this.plugin.settings.linkFormat = value;
           await this.plugin.saveSettings();
+          this.display();  // Show the options of the selected format
         }));
 
+    // Template of the links (visible only with the custom template format)
+    if (this.plugin.settings.linkFormat === 'template') {
+      new Setting(containerEl)
+        .setName('Link Template')
+        .setDesc('Placeholders: {{title}} (note title), {{text}} (matched text), {{path}} (link path, following Obsidian\'s "New link format" preference, with the #heading of heading links) and {{heading}} (heading of the target, if any).')
+        .addText(text => text
+          .setPlaceholder('[[{{path}}|{{text}}]]')
+          .setValue(this.plugin.settings.linkTemplate)
+          .onChange(async (value) => {
+            this.plugin.settings.linkTemplate = value;
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    // Setting to enable wikilinks with display text (visible only with the wikilink format)
+    if (this.plugin.settings.linkFormat === 'wikilink') {
+      new Setting(containerEl)
+        .setName('Enable WikiLinks with Display Text')
+        .setDesc('If enabled, will generate links in the format [[Page Title|Text]].')
+        .addToggle(toggle => toggle
+          .setValue(this.plugin.settings.enableWikiLinks)
+          .onChange(async (value) => {
+            this.plugin.settings.enableWikiLinks = value;
+            await this.plugin.saveSettings();
+            this.display();  // Show or hide the Respect Case option
+          }));
+    }
+
     // Paramètre pour respecter la casse (visible seulement si enableWikiLinks est activé)
-    if (this.plugin.settings.enableWikiLinks) {
+    if (this.plugin.settings.linkFormat === 'wikilink' && this.plugin.settings.enableWikiLinks) {
       new Setting(containerEl)
         .setName('Respect Case')
         .setDesc('If enabled, the original casing of the text will be preserved in the links (e.g., [[Page Title|tExT]]).')
@@ -604,5 +4006,287 @@ class NoteLinkerSettingTab extends PluginSettingTab {
             await this.plugin.saveSettings();
           }));
     }
+
+    // Limits on the number of links, applied before the suggestions are shown
+    containerEl.createEl('h3', { text: 'Link Density' });
+
+    new Setting(containerEl)
+      .setName('Maximum Links per Target')
+      .setDesc('Maximum number of links to the same note in each scope, counting the links already there. 0 for no limit. The "Clean Up Redundant Links" commands remove the links beyond it (beyond the first one without a limit) and the links of a note to itself.')
+      .addSlider(slider => slider
+        .setLimits(0, 10, 1)
+        .setValue(this.plugin.settings.linkLimit)
+        .onChange(async (value) => {
+          this.plugin.settings.linkLimit = value;
+          await this.plugin.saveSettings();
+        })
+        .setDynamicTooltip());
+
+    new Setting(containerEl)
+      .setName('Limit Scope')
+      .setDesc('Where the links are counted.')
+      .addDropdown(dropdown => dropdown
+        .addOption('note', 'Note')
+        .addOption('section', 'Section (between headings)')
+        .addOption('paragraph', 'Paragraph')
+        .setValue(this.plugin.settings.linkLimitScope)
+        .onChange(async (value) => {
+          this.plugin.settings.linkLimitScope = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Skip Linked List Items')
+      .setDesc('No links in list items that already contain a link. Headings are skipped with the "Headings" excluded zone.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.skipLinkedListItems)
+        .onChange(async (value) => {
+          this.plugin.settings.skipLinkedListItems = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // Synonyms and keywords linked to a note
+    containerEl.createEl('h3', { text: 'Dictionary' });
+
+    new Setting(containerEl)
+      .setName('Dictionary File')
+      .setDesc('A CSV file or a note with a markdown table of terms, one per row: term, target note, and optionally "case" (case-sensitive) and/or "regex" (the term is a regular expression). Edits to the file apply right away.')
+      .addText(text => text
+        .setPlaceholder('Dictionary.md')
+        .setValue(this.plugin.settings.dictionaryFile)
+        .onChange(async (value) => {
+          this.plugin.settings.dictionaryFile = value;
+          await this.saveDictionary();
+        }));
+
+    const dictionary = this.plugin.settings.dictionary;
+    new Setting(containerEl)
+      .setName('Terms')
+      .setDesc('Terms linked to a note as [[Target|matched term]], even if they are short or stop words. Case-sensitive terms are matched exactly as written.')
+      .addButton(btn => btn
+        .setButtonText('Add Term')
+        .onClick(async () => {
+          dictionary.push({ term: '', target: '', caseSensitive: false, regex: false });
+          await this.saveDictionary();
+          this.display();
+        }));
+
+    dictionary.forEach((term, index) => {
+      new Setting(containerEl)
+        .setClass('note-linker-rule')
+        .addText(text => text
+          .setPlaceholder('Term')
+          .setValue(term.term)
+          .onChange(async (value) => {
+            term.term = value;
+            await this.saveDictionary();
+          }))
+        .addText(text => text
+          .setPlaceholder('Target note')
+          .setValue(term.target)
+          .onChange(async (value) => {
+            term.target = value;
+            await this.saveDictionary();
+          }))
+        .addToggle(toggle => toggle
+          .setTooltip('Case-sensitive')
+          .setValue(term.caseSensitive)
+          .onChange(async (value) => {
+            term.caseSensitive = value;
+            await this.saveDictionary();
+          }))
+        .addToggle(toggle => toggle
+          .setTooltip('Regular expression')
+          .setValue(term.regex)
+          .onChange(async (value) => {
+            term.regex = value;
+            await this.saveDictionary();
+          }))
+        .addExtraButton(button => button
+          .setIcon('trash')
+          .setTooltip('Delete term')
+          .onClick(async () => {
+            dictionary.splice(index, 1);
+            await this.saveDictionary();
+            this.display();
+          }));
+    });
+
+    // Auto-linking while typing
+    containerEl.createEl('h3', { text: 'Auto-Linking' });
+
+    new Setting(containerEl)
+      .setName('Auto-Link While Typing')
+      .setDesc('When typing pauses, scan the current and previous paragraphs, except the word being typed. "Suggest" highlights one mention and shows its link next to it (accept it with a click or the "Accept Link Suggestion" command, which can have a hotkey). "Insert" links the high-confidence mentions directly; "Undo Last Automatic Links" removes them.')
+      .addDropdown(dropdown => dropdown
+        .addOption('off', 'Off')
+        .addOption('suggest', 'Suggest')
+        .addOption('insert', 'Insert')
+        .setValue(this.plugin.settings.autoLinkMode)
+        .onChange(async (value) => {
+          this.plugin.settings.autoLinkMode = value;
+          this.plugin.showLinkSuggestion(null);
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    if (this.plugin.settings.autoLinkMode !== 'off') {
+      new Setting(containerEl)
+        .setName('Auto-Link Delay')
+        .setDesc('Pause in typing, in milliseconds, before the text is scanned.')
+        .addSlider(slider => slider
+          .setLimits(500, 10000, 500)
+          .setValue(this.plugin.settings.autoLinkDelay)
+          .onChange(async (value) => {
+            this.plugin.settings.autoLinkDelay = value;
+            this.plugin.updateAutoLinkDelay();
+            await this.plugin.saveSettings();
+          })
+          .setDynamicTooltip());
+    }
+
+    if (this.plugin.settings.autoLinkMode === 'insert') {
+      new Setting(containerEl)
+        .setName('Minimum Score for Automatic Links')
+        .setDesc('Only exact matches of a single note with at least this score (0-100, shown in the selection window) are inserted.')
+        .addSlider(slider => slider
+          .setLimits(0, 100, 5)
+          .setValue(this.plugin.settings.autoLinkMinScore)
+          .onChange(async (value) => {
+            this.plugin.settings.autoLinkMinScore = value;
+            await this.plugin.saveSettings();
+          })
+          .setDynamicTooltip());
+    }
+
+    // Ignored suggestions and per-note rules
+    containerEl.createEl('h3', { text: 'Ignored Suggestions' });
+    containerEl.createEl('p', {
+      text: `A note can also turn off the suggestions with "${AUTOLINK_KEY}: false" in its frontmatter, or list the titles never to link with "${AUTOLINK_IGNORE_KEY}".`,
+      cls: 'setting-item-description'
+    });
+
+    new Setting(containerEl)
+      .setName('Titles Ignored Everywhere')
+      .setDesc('Titles never suggested, one per line.')
+      .addTextArea(text => text
+        .setPlaceholder('Enter titles, one per line')
+        .setValue(this.plugin.settings.ignoredTitles.join('\n'))
+        .onChange(async (value) => {
+          this.plugin.settings.ignoredTitles = value.split('\n').map(title => title.trim()).filter(Boolean);
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Titles Ignored per Note')
+      .setDesc('Titles never suggested in a given note, one "note path: title" per line.')
+      .addTextArea(text => text
+        .setPlaceholder('Folder/Note.md: Title')
+        .setValue(Object.entries(this.plugin.settings.ignoredTitlesByNote)
+          .flatMap(([path, titles]) => titles.map(title => `${path}: ${title}`))
+          .join('\n'))
+        .onChange(async (value) => {
+          const ignoredTitlesByNote = {};
+          value.split('\n').forEach(line => {
+            // Paths can't contain ":" but titles (e.g., headings) can, so the first separator ends the path
+            const separator = line.indexOf(': ');
+            if (separator > 0) {
+              const path = line.slice(0, separator).trim();
+              const title = line.slice(separator + 2).trim();
+              if (path && title) {
+                ignoredTitlesByNote[path] = [...(ignoredTitlesByNote[path] || []), title];
+              }
+            }
+          });
+          this.plugin.settings.ignoredTitlesByNote = ignoredTitlesByNote;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Ignored Occurrences')
+      .setDesc(`${this.plugin.settings.ignoredOccurrences.length} single occurrences are ignored.`)
+      .addButton(btn => btn
+        .setButtonText('Clear')
+        .onClick(async () => {
+          this.plugin.settings.ignoredOccurrences = [];
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+  }
+
+  // Editor of a rule set, each rule showing how many notes of the vault it matches
+  displayRules(containerEl, key, name, desc) {
+    const rules = this.plugin.settings[key];
+    new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addButton(btn => btn
+        .setButtonText('Add Rule')
+        .onClick(async () => {
+          rules.push({ action: 'exclude', type: 'glob', value: '' });
+          await this.saveRules(key);
+          this.display();
+        }));
+
+    rules.forEach((rule, index) => {
+      const setting = new Setting(containerEl).setClass('note-linker-rule');
+      const updatePreview = () => setting.setDesc(rule.value.trim()
+        ? `Matches ${this.plugin.countRuleMatches(rule)} notes.`
+        : FILTER_RULE_TYPES[rule.type].placeholder);
+      setting
+        .addDropdown(dropdown => dropdown
+          .addOption('exclude', 'Exclude')
+          .addOption('include', 'Include')
+          .setValue(rule.action)
+          .onChange(async (value) => {
+            rule.action = value;
+            await this.saveRules(key);
+          }))
+        .addDropdown(dropdown => {
+          Object.entries(FILTER_RULE_TYPES).forEach(([type, { name: typeName }]) => dropdown.addOption(type, typeName));
+          dropdown
+            .setValue(rule.type)
+            .onChange(async (value) => {
+              rule.type = value;
+              await this.saveRules(key);
+              this.display();  // The placeholder depends on the type
+            });
+        })
+        .addText(text => text
+          .setPlaceholder(FILTER_RULE_TYPES[rule.type].placeholder)
+          .setValue(rule.value)
+          .onChange(async (value) => {
+            rule.value = value;
+            updatePreview();
+            await this.saveRules(key);
+          }))
+        .addExtraButton(button => button
+          .setIcon('trash')
+          .setTooltip('Delete rule')
+          .onClick(async () => {
+            rules.splice(index, 1);
+            await this.saveRules(key);
+            this.display();
+          }));
+      updatePreview();
+    });
+  }
+
+  // Save the dictionary settings and reload its terms
+  async saveDictionary() {
+    await this.plugin.saveSettings();
+    this.plugin.requestLoadDictionary();
+  }
+
+  // Save a rule set, updating the index when the link targets change
+  async saveRules(key) {
+    if (key === 'targetRules') {
+      this.plugin.syncIndexWithSettings();
+    }
+    await this.plugin.saveSettings();
   }
 }
+
+// The engine can also be loaded outside of Obsidian (see bench/ and test/)
+module.exports.LinkEngine = LinkEngine;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -0,0 +1,237 @@
+// Tests of the linking engine, run with `npm test` (node --test, no Obsidian needed)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('module');
+const path = require('path');
+
+// main.js only needs the Obsidian and CodeMirror classes to be defined to load outside of the app (as in bench/)
+const obsidian = new Proxy({}, {
+  get: (target, name) => target[name] || (target[name] = class {})
+});
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'obsidian' || request.startsWith('@codemirror/') ? obsidian : originalLoad.call(this, request, ...args);
+};
+const { LinkEngine, DEFAULT_SETTINGS } = require(path.join(__dirname, '..', 'main.js'));
+
+// Engine over notes given by path, with the default settings overridden by `settings`
+function createEngine(paths, settings = {}) {
+  return new LinkEngine({ ...JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), ...settings })
+    .index(paths.map(path => ({ path })));
+}
+
+// Matched texts of a content
+function matches(engine, content) {
+  return engine.detect(content).map(link => link.originalMatch);
+}
+
+// Content with every detected link applied
+function linkAll(engine, content) {
+  return engine.apply(content, engine.detect(content)).content;
+}
+
+test('titles with special characters are matched literally', () => {
+  const engine = createEngine(['C++.md', 'Node.js.md', 'What?.md', 'AT&T.md', '$HOME.md', 'a*b.md']);
+  const content = 'C++, Node.js, What? AT&T, $HOME and a*b, but not Nodexjs, Wha or aab.';
+  assert.deepEqual(matches(engine, content), ['C++', 'Node.js', 'What?', 'AT&T', '$HOME', 'a*b']);
+  assert.equal(linkAll(engine, 'Written in C++.'), 'Written in [[C++]].');
+});
+
+test('titles with parentheses match plain and escaped parentheses', () => {
+  const engine = createEngine(['Python (language).md']);
+  const content = 'Python (language), Python \\(language\\) and Python (lang)';
+  const links = engine.detect(content);
+  assert.deepEqual(links.map(link => link.matchIndex), [[0, 17], [19, 38]]);
+  assert.equal(links[1].originalMatch, 'Python \\(language\\)');
+  assert.equal(engine.apply(content, links).content,
+    '[[Python (language)]], [[Python (language)]] and Python (lang)');
+});
+
+test('markdown links encode spaces and parentheses', () => {
+  const engine = new LinkEngine({ ...DEFAULT_SETTINGS, linkFormat: 'markdown' })
+    .index([{ path: 'Languages/C++ (language).md', aliases: ['C++'] }]);
+  assert.equal(linkAll(engine, 'Written in C++ (language).'),
+    'Written in [C++ (language)](Languages/C++%20%28language%29.md).');
+});
+
+test('accents are ignored only when the setting is on', () => {
+  assert.deepEqual(matches(createEngine(['Café.md']), 'cafe and café'), ['café']);
+
+  const engine = createEngine(['Café.md'], { ignoreAccents: true });
+  const links = engine.detect('cafe and CAFÉ');
+  assert.deepEqual(links.map(link => [link.originalMatch, link.matchType]), [['cafe', 'accent'], ['CAFÉ', 'exact']]);
+  assert.equal(engine.apply('cafe', engine.detect('cafe')).content, '[[Café|cafe]]');
+});
+
+test('CJK titles match inside text written without spaces', () => {
+  const engine = createEngine(['東京.md', '東京タワー.md']);
+  assert.deepEqual(matches(engine, '我住在東京都。東京タワーに行った。'), ['東京', '東京タワー']);
+  assert.equal(linkAll(engine, '我住在東京都。'), '我住在[[東京]]都。');
+});
+
+test('whole-word matching skips matches inside words', () => {
+  const engine = createEngine(['AI.md', 'Art.md']);
+  assert.deepEqual(matches(engine, 'AI said: Artists like art, AI-generated or not.'), ['AI', 'art', 'AI']);
+
+  const anywhere = createEngine(['AI.md'], { wholeWords: false });
+  assert.deepEqual(matches(anywhere, 'said AI'), ['ai', 'AI']);
+});
+
+test('exclusion zones are skipped', () => {
+  const engine = createEngine(['Cats.md']);
+  const zones = [
+    '```\nCats\n```',
+    '`Cats`',
+    '[[Cats]]',
+    '[about Cats](Cats.md)',
+    '![[Cats]]',
+    'https://example.com/Cats',
+    '# Cats',
+    '<!-- Cats -->',
+    '%% Cats %%',
+    '$Cats$',
+    '#Cats'
+  ];
+  const content = `${zones.join('\n')}\nCats`;
+  assert.deepEqual(engine.detect(content).map(link => link.matchIndex[0]), [content.length - 4]);
+
+  // Each zone can be turned off
+  const withHeadings = createEngine(['Cats.md'], { excludeHeadings: false });
+  assert.deepEqual(matches(withHeadings, '# Cats'), ['Cats']);
+});
+
+test('the frontmatter is skipped by detectInNote', () => {
+  const engine = createEngine(['Cats.md']);
+  const content = '---\ntags: Cats\n---\nCats';
+  assert.deepEqual(engine.detectInNote(content).map(link => link.matchIndex), [[19, 23]]);
+});
+
+test('changes are applied back-to-front', () => {
+  const engine = createEngine(['Cats.md', 'Dogs.md', 'Big Dogs.md']);
+  const content = 'Cats, Big Dogs and Dogs.';
+  const { content: linked, changes } = engine.apply(content, engine.detect(content));
+
+  assert.equal(linked, '[[Cats]], [[Big Dogs]] and [[Dogs]].');
+  assert.deepEqual(changes.map(change => [change.from, change.to, change.text]),
+    [[19, 23, '[[Dogs]]'], [6, 14, '[[Big Dogs]]'], [0, 4, '[[Cats]]']]);
+});
+
+test('overlapping links and changed ranges are skipped', () => {
+  const engine = createEngine(['Dogs.md', 'Big Dogs.md'], { wholeWords: false });
+  const links = engine.detect('Big Dogs');
+  const inner = { ...links[0], matchIndex: [4, 8], originalMatch: 'Dogs', title: 'Dogs', notePath: 'Dogs.md' };
+  assert.equal(engine.apply('Big Dogs', [...links, inner]).content, '[[Big Dogs]]');
+
+  // The text at the range no longer matches the detected text
+  assert.equal(engine.apply('Big Cats', links).content, 'Big Cats');
+});
+
+test('ignored, self and excluded matches do not hide the shorter titles inside them', () => {
+  const engine = createEngine(['Machine Learning.md', 'Learning.md']);
+  const content = 'Machine Learning is fun';
+  const isIgnored = (link) => link.title === 'Machine Learning';
+  assert.deepEqual(engine.detect(content, { isIgnored }).map(link => [link.title, link.matchIndex]), [['Learning', [8, 16]]]);
+  assert.deepEqual(matches(engine, content), ['Machine Learning']);
+
+  assert.deepEqual(engine.detect(content, { sourcePath: 'Machine Learning.md' }).map(link => link.title), ['Learning']);
+  assert.deepEqual(matches(engine, '`Machine` Learning'), ['Learning']);
+});
+
+test('dictionary terms link to their target, case-sensitive terms only with their exact text', () => {
+  const engine = createEngine([]).index([{ path: 'Information Technology.md' }, { path: 'Cats.md' }], [
+    { term: 'IT', target: 'Information Technology.md', caseSensitive: true },
+    { term: 'kitty', target: 'Cats.md' }
+  ]);
+
+  // Dictionary terms skip the stop words and minimum length filters
+  const links = engine.detect('IT said it: Kitty!');
+  assert.deepEqual(links.map(link => [link.originalMatch, link.notePath]),
+    [['IT', 'Information Technology.md'], ['Kitty', 'Cats.md']]);
+  assert.equal(engine.apply('IT', engine.detect('IT')).content, '[[Information Technology|IT]]');
+});
+
+test('dictionary patterns are regular expressions over the original text', () => {
+  const engine = createEngine([]).index([{ path: 'Issues.md' }], [{ term: 'issue #\\d+', target: 'Issues.md', regex: true }]);
+  const links = engine.detect('See Issue #12 and issue #7, not issue #x.');
+  assert.deepEqual(links.map(link => [link.originalMatch, link.matchType]), [['Issue #12', 'pattern'], ['issue #7', 'pattern']]);
+  assert.equal(linkAll(engine, 'Fixed in issue #7.'), 'Fixed in [[Issues|issue #7]].');
+});
+
+test('plurals are matched with the inflection rules of the language', () => {
+  assert.deepEqual(matches(createEngine(['Category.md']), 'categories'), []);
+
+  const engine = createEngine(['Category.md', 'Box.md'], { inflectionLanguage: 'en' });
+  const links = engine.detect('Two categories and three boxes.');
+  assert.deepEqual(links.map(link => [link.originalMatch, link.title, link.matchType]),
+    [['categories', 'Category', 'inflection'], ['boxes', 'Box', 'inflection']]);
+  assert.equal(linkAll(engine, 'boxes'), '[[Box|boxes]]');
+});
+
+test('typo tolerance matches long titles, with typos anywhere', () => {
+  const content = 'Nachine Learnin, Machine\n  Lerning and Photosinthesis, but not Cots.';
+  assert.deepEqual(matches(createEngine(['Machine Learning.md', 'Photosynthesis.md', 'Cats.md']), content), []);
+
+  const engine = createEngine(['Machine Learning.md', 'Photosynthesis.md', 'Cats.md'], { fuzzyMaxDistance: 2 });
+  const links = engine.detect(content);
+  assert.deepEqual(links.map(link => [link.originalMatch, link.title, link.matchType]), [
+    ['Nachine Learnin', 'Machine Learning', 'fuzzy'],
+    ['Machine\n  Lerning', 'Machine Learning', 'fuzzy'],
+    ['Photosinthesis', 'Photosynthesis', 'fuzzy']
+  ]);
+  assert.equal(linkAll(engine, 'Photosinthesis'), '[[Photosynthesis|Photosinthesis]]');
+
+  // Exact matches win over typo-tolerant ones
+  assert.deepEqual(engine.detect('Machine Learning').map(link => link.matchType), ['exact']);
+});
+
+test('headings are linked with the heading path when they are indexed', () => {
+  const notes = [{ path: 'Cats.md', headings: [{ heading: 'Care', level: 1 }, { heading: 'Feeding: Basics', level: 2 }] }];
+  assert.deepEqual(matches(new LinkEngine({ ...DEFAULT_SETTINGS }).index(notes), 'Feeding: Basics'), []);
+
+  const engine = new LinkEngine({ ...DEFAULT_SETTINGS, indexHeadings: true }).index(notes);
+  const [link] = engine.detect('See feeding: basics.');
+  assert.deepEqual([link.title, link.heading, link.headingPath], ['Cats', 'Feeding: Basics', 'Care > Feeding: Basics']);
+  assert.equal(engine.apply('See feeding: basics.', [link]).content, 'See [[Cats#Feeding Basics|feeding: basics]].');
+});
+
+test('template and markdown links include the heading', () => {
+  const notes = [{ path: 'Pets/Cats.md', headings: [{ heading: 'Feeding Time', level: 2 }] }];
+  const content = 'Cats at feeding time';
+
+  const template = new LinkEngine({ ...DEFAULT_SETTINGS, indexHeadings: true, linkFormat: 'template', linkTemplate: '{{title}}: [[{{path}}|{{text}}]] {{unknown}}' })
+    .index(notes);
+  assert.equal(template.apply(content, template.detect(content)).content,
+    'Cats: [[Cats|Cats]] {{unknown}} at Cats: [[Cats#Feeding Time|feeding time]] {{unknown}}');
+
+  const markdown = new LinkEngine({ ...DEFAULT_SETTINGS, indexHeadings: true, linkFormat: 'markdown' }).index(notes);
+  assert.equal(markdown.apply(content, markdown.detect(content), { sourcePath: 'Journal/Today.md' }).content,
+    '[Cats](../Pets/Cats.md) at [feeding time](../Pets/Cats.md#Feeding%20Time)');
+});
+
+test('the link limit counts the existing links of each scope', () => {
+  const content = '[[Cats]] and Cats.\n\nCats, Cats and Dogs.';
+  const links = (engine) => engine.limitDensity(content, engine.detect(content)).map(link => link.matchIndex[0]);
+  assert.deepEqual(links(createEngine(['Cats.md', 'Dogs.md'])), [13, 20, 26, 35]);
+  assert.deepEqual(links(createEngine(['Cats.md', 'Dogs.md'], { linkLimit: 1 })), [35]);
+  assert.deepEqual(links(createEngine(['Cats.md', 'Dogs.md'], { linkLimit: 1, linkLimitScope: 'paragraph' })), [20, 35]);
+});
+
+test('list items that already have a link are skipped', () => {
+  const engine = createEngine(['Cats.md', 'Dogs.md'], { skipLinkedListItems: true });
+  const content = '- [[Cats]] and Dogs\n- Dogs\nDogs after [[Cats]]';
+  assert.deepEqual(engine.limitDensity(content, engine.detect(content)).map(link => link.matchIndex[0]), [22, 27]);
+});
+
+test('redundant links are links to the note itself and repeated links beyond the limit', () => {
+  const engine = createEngine(['Cats.md', 'Dogs.md', 'Journal.md']);
+  const content = '[[Cats]], [[Dogs]], [[Journal]] and [[Journal#Today]].\n\n[[Cats|cats]] again, `[[Cats]]` in code.';
+  const redundant = engine.findRedundantLinks(content, { sourcePath: 'Journal.md' });
+  assert.deepEqual(redundant.map(link => [link.text, link.originalText, link.targetPath, link.reason]), [
+    ['[[Journal]]', 'Journal', 'Journal.md', 'self'],
+    ['[[Cats|cats]]', 'cats', 'Cats.md', 'repeated']
+  ]);
+
+  // With a limit per paragraph, the second paragraph may link to Cats again
+  const perParagraph = createEngine(['Cats.md', 'Dogs.md', 'Journal.md'], { linkLimitScope: 'paragraph' });
+  assert.deepEqual(perParagraph.findRedundantLinks(content, { sourcePath: 'Journal.md' }).map(link => link.reason), ['self']);
+});